@@ -0,0 +1,90 @@
+// Offscreen Document - 直接ダウンロードの画像取得とZIP作成
+// サービスワーカーでは Blob URL を作れないため、ここでZIPを作って URL を background に渡す
+// 結果は DIRECT_PROGRESS / DIRECT_COMPLETE / DIRECT_FAILED で background に送る
+
+// 進捗の送信間隔 (ms)
+const PROGRESS_THROTTLE_MS = 500;
+
+// tabId -> 実行中の取得の AbortController
+const jobs = new Map();
+// tabId -> 保存が終わるまで残しておく Blob URL
+const blobUrls = new Map();
+
+// 完了しないまま残った古いギャラリーの画像を片付ける
+pruneCheckpoints().catch(error => console.warn('[Offscreen] Failed to prune checkpoints:', error));
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // background からの他の通知（STATUS_UPDATE など）も届くので宛先で絞る
+  if (message.target !== 'offscreen') return false;
+
+  switch (message.type) {
+    case 'DIRECT_FETCH':
+      runJob(message);
+      sendResponse({ success: true });
+      return false;
+
+    case 'DIRECT_CANCEL':
+      jobs.get(message.tabId)?.abort(new Error('キャンセル'));
+      jobs.delete(message.tabId);
+      sendResponse({ success: true });
+      return false;
+
+    case 'DIRECT_RELEASE':
+      releaseBlobUrl(message.tabId);
+      sendResponse({ success: true });
+      return false;
+  }
+  return false;
+});
+
+function releaseBlobUrl(tabId) {
+  const url = blobUrls.get(tabId);
+  if (!url) return;
+  URL.revokeObjectURL(url);
+  blobUrls.delete(tabId);
+}
+
+function notifyBackground(message) {
+  chrome.runtime.sendMessage(message).catch(() => { });
+}
+
+async function runJob({ tabId, galleryId, concurrency, retries }) {
+  // 同じタブの前回分（リトライ前の取得・保存済みのZIP）は不要になる
+  jobs.get(tabId)?.abort(new Error('再開始'));
+  releaseBlobUrl(tabId);
+
+  const controller = new AbortController();
+  jobs.set(tabId, controller);
+  let lastSentAt = 0;
+
+  try {
+    const result = await downloadGallery({
+      galleryId,
+      concurrency,
+      retries,
+      signal: controller.signal,
+      checkpoint: { load: loadCheckpoints, save: saveCheckpoint },
+      onProgress: ({ done, total, bytes, resumed }) => {
+        if (done === resumed && resumed > 0) {
+          console.log(`[Offscreen] Resuming gallery ${galleryId}: ${resumed}/${total} pages from checkpoints`);
+        }
+        const now = Date.now();
+        if (done < total && now - lastSentAt < PROGRESS_THROTTLE_MS) return;
+        lastSentAt = now;
+        notifyBackground({ type: 'DIRECT_PROGRESS', tabId, done, total, bytes });
+      }
+    });
+
+    const url = URL.createObjectURL(result.blob);
+    blobUrls.set(tabId, url);
+    console.log(`[Offscreen] Built ZIP for gallery ${galleryId}: ${result.pageCount} pages, ${result.blob.size} bytes`);
+    notifyBackground({ type: 'DIRECT_COMPLETE', tabId, url, pageCount: result.pageCount });
+  } catch (error) {
+    // キャンセル・再開始で止めたものは報告しない
+    if (controller.signal.aborted) return;
+    console.error(`[Offscreen] Failed gallery ${galleryId}:`, error);
+    notifyBackground({ type: 'DIRECT_FAILED', tabId, error: error.message });
+  } finally {
+    if (jobs.get(tabId) === controller) jobs.delete(tabId);
+  }
+}
@@ -0,0 +1,230 @@
+// Options Page Logic
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+  fillForm(await loadSettings());
+
+  document.getElementById('settingsForm').addEventListener('submit', save);
+  document.getElementById('resetDefaults').addEventListener('click', () => fillForm(DEFAULT_SETTINGS));
+  document.getElementById('exportFilters').addEventListener('click', exportFilters);
+  document.getElementById('importFilters').addEventListener('click', () => document.getElementById('filterFile').click());
+  document.getElementById('filterFile').addEventListener('change', importFilters);
+  document.getElementById('exportSession').addEventListener('click', exportSession);
+  document.getElementById('importSession').addEventListener('click', () => document.getElementById('sessionFile').click());
+  document.getElementById('sessionFile').addEventListener('change', importSession);
+
+  // 別のウィンドウで変更された場合も表示を合わせる
+  onSettingsChanged(fillForm);
+}
+
+function fillForm(settings) {
+  const form = document.getElementById('settingsForm');
+
+  for (const [key, value] of Object.entries(settings)) {
+    const input = form.elements[key];
+    if (!input) continue;
+
+    if (SETTINGS_SCHEMA[key].type === 'boolean') {
+      input.checked = value;
+    } else if (SETTINGS_SCHEMA[key].type === 'paths') {
+      input.value = value.join('\n');
+    } else if (SETTINGS_SCHEMA[key].type === 'rules') {
+      input.value = formatFilterRules(value);
+    } else {
+      input.value = value;
+    }
+  }
+}
+
+// テキスト欄の構文エラーは保存前にここで拾う
+function readForm() {
+  const form = document.getElementById('settingsForm');
+  const values = {};
+  const errors = [];
+
+  for (const [key, rule] of Object.entries(SETTINGS_SCHEMA)) {
+    const input = form.elements[key];
+    if (!input) continue;
+
+    if (rule.type === 'boolean') {
+      values[key] = input.checked;
+    } else if (rule.type === 'integer') {
+      values[key] = input.value.trim() === '' ? NaN : Number(input.value);
+    } else if (rule.type === 'paths') {
+      values[key] = input.value.split('\n').map(line => line.trim()).filter(Boolean);
+    } else if (rule.type === 'rules') {
+      const parsed = parseFilterRules(input.value);
+      values[key] = parsed.rules;
+      for (const error of parsed.errors) {
+        errors.push({ key, message: `${error.line}行目: ${error.message}` });
+      }
+    } else {
+      values[key] = input.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+async function save(event) {
+  event.preventDefault();
+
+  const status = document.getElementById('saveStatus');
+  const form = document.getElementById('settingsForm');
+
+  for (const input of form.querySelectorAll('.invalid')) {
+    input.classList.remove('invalid');
+  }
+
+  try {
+    const { values, errors } = readForm();
+    if (errors.length > 0) {
+      showErrors(errors);
+      status.textContent = '';
+      return;
+    }
+
+    const result = await saveSettings(values);
+    if (!result.success) {
+      showErrors(result.errors);
+      status.textContent = '';
+      return;
+    }
+
+    showErrors([]);
+    status.textContent = '保存しました';
+    setTimeout(() => { status.textContent = ''; }, 2000);
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    status.textContent = '保存に失敗しました: ' + error.message;
+  }
+}
+
+function showErrors(errors) {
+  const list = document.getElementById('errors');
+  const form = document.getElementById('settingsForm');
+
+  list.innerHTML = '';
+  list.hidden = errors.length === 0;
+
+  for (const { key, message } of errors) {
+    const input = form.elements[key];
+    input?.classList.add('invalid');
+
+    const label = input?.closest('.field')?.querySelector('.field-label')?.textContent || key;
+    const li = document.createElement('li');
+    li.textContent = `${label}: ${message}`;
+    list.appendChild(li);
+  }
+}
+
+// ============================================
+// フィルタルールの読み込み・書き出し
+// ============================================
+
+function exportFilters() {
+  const { rules, errors } = parseFilterRules(document.getElementById('settingsForm').elements.filterRules.value);
+  if (errors.length > 0) {
+    showErrors(errors.map(error => ({ key: 'filterRules', message: `${error.line}行目: ${error.message}` })));
+    return;
+  }
+
+  saveFile('hitomi-filters.json', buildFilterExport(rules), 'application/json');
+}
+
+function saveFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// 読み込んだルールは既存のルールに追加する（重複は除く）
+async function importFilters(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  const status = document.getElementById('saveStatus');
+  const { rules, errors } = parseFilterImport(await file.text());
+  if (errors.length > 0) {
+    showErrors(errors.map(error => ({
+      key: 'filterRules',
+      message: error.line > 0 ? `${file.name} ${error.line}行目: ${error.message}` : `${file.name}: ${error.message}`
+    })));
+    status.textContent = 'ルールを読み込めませんでした';
+    return;
+  }
+
+  const input = document.getElementById('settingsForm').elements.filterRules;
+  const current = parseFilterRules(input.value).rules;
+  const seen = new Set(current.map(rule => formatFilterRules([rule])));
+  const added = rules.filter(rule => !seen.has(formatFilterRules([rule])));
+
+  input.value = formatFilterRules([...current, ...added]);
+  showErrors([]);
+  status.textContent = `${added.length}件のルールを追加しました（保存で反映されます）`;
+}
+
+// ============================================
+// バッチの書き出し・読み込み
+// ============================================
+
+async function exportSession() {
+  const status = document.getElementById('sessionStatus');
+  const { entries } = await chrome.runtime.sendMessage({ type: 'GET_SESSION' });
+  if (!entries || entries.length === 0) {
+    status.textContent = '書き出すギャラリーがありません';
+    return;
+  }
+
+  const format = document.getElementById('sessionFormat').value;
+  const file = buildSessionExport(entries, format);
+  const date = new Date().toISOString().slice(0, 10);
+  saveFile(`hitomi-batch-${date}.${file.extension}`, file.content, file.mimeType);
+  status.textContent = `${entries.length}件を書き出しました`;
+}
+
+async function importSession(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  const status = document.getElementById('sessionStatus');
+  const { entries, errors } = parseSessionImport(await file.text());
+
+  // 読み込めなかった行もスキップとして一緒に表示する
+  const skipped = errors.map(error => ({
+    label: error.line > 0 ? `${error.line}行目` : file.name,
+    reason: error.message
+  }));
+
+  if (entries.length > 0) {
+    const response = await chrome.runtime.sendMessage({ type: 'IMPORT_SESSION', entries });
+    if (!response.success) {
+      status.textContent = '読み込みに失敗しました: ' + response.error;
+      return;
+    }
+    status.textContent = `${response.queued.length}件をキューに追加しました` +
+      (response.skipped.length + skipped.length > 0 ? `（${response.skipped.length + skipped.length}件スキップ）` : '');
+    skipped.unshift(...response.skipped.map(item => ({ label: item.galleryId || item.url, reason: item.reason })));
+  } else {
+    status.textContent = '読み込めるギャラリーがありません';
+  }
+
+  renderSkipped(skipped);
+}
+
+function renderSkipped(skipped) {
+  const list = document.getElementById('sessionSkipped');
+  list.innerHTML = '';
+  list.hidden = skipped.length === 0;
+
+  for (const item of skipped) {
+    const li = document.createElement('li');
+    li.textContent = `${item.label}: ${item.reason}`;
+    list.appendChild(li);
+  }
+}
@@ -3,22 +3,78 @@ document.addEventListener('DOMContentLoaded', init);
 
 // State (view only - actual state is in background)
 let tabsState = new Map();
+let downloadHistory = {};
+let pendingGalleries = 0;
+let settings = { ...DEFAULT_SETTINGS };
+let batch = null;
+let targetScope = { type: 'current-window' };
+// バックグラウンドが把握しているタブ（対象範囲外のものも含む）
+let knownTabIds = new Set();
+// ダウンロード対象として選択中のタブ（並び順は tabsState の順）
+let selectedTabIds = new Set();
+let draggedTabId = null;
+// 転送量・速度・残り時間（バックグラウンドで計算したもの）
+let tabStats = {};
+let batchStats = null;
 
 async function init() {
+  settings = await loadSettings();
+  onSettingsChanged(updated => {
+    settings = updated;
+    refreshTabList();
+  });
+
+  await loadTargetScope();
   await refreshTabList();
+  await refreshUnmatched();
 
   document.getElementById('startDownload').addEventListener('click', startDownloadAll);
   document.getElementById('refreshStatus').addEventListener('click', refreshTabList);
   document.getElementById('retryDownload').addEventListener('click', retryIncomplete);
+  document.getElementById('openOptions').addEventListener('click', () => chrome.runtime.openOptionsPage());
+  document.getElementById('pauseBatch').addEventListener('click', () => sendBatchCommand('PAUSE_BATCH'));
+  document.getElementById('resumeBatch').addEventListener('click', () => sendBatchCommand('RESUME_BATCH'));
+  document.getElementById('cancelBatch').addEventListener('click', cancelBatch);
+  document.getElementById('targetScope').addEventListener('change', changeTargetScope);
+  document.getElementById('selectAll').addEventListener('click', () => setSelection(() => true));
+  document.getElementById('selectNone').addEventListener('click', () => setSelection(() => false));
+  document.getElementById('selectInvert').addEventListener('click', () => setSelection(tabId => !selectedTabIds.has(tabId)));
 
   // Listen for status updates from background
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'STATUS_UPDATE') {
-      updateTabStatus(message.tabId, message.status, message.details);
+      // 拡張機能がバックグラウンドで開いたタブは一覧を取り直して表示する
+      if (!tabsState.has(message.tabId) && !knownTabIds.has(message.tabId)) scheduleRefresh();
+      updateTabStatus(message.tabId, message.status, message.details, message.retry);
     } else if (message.type === 'DOWNLOAD_PROGRESS') {
-      updateDownloadProgress(message.tabId, message.progress);
+      // content script から直接届くので送信元のタブで判別する
+      updateDownloadProgress(message.tabId ?? sender.tab?.id, message.progress);
+    } else if (message.type === 'QUEUE_UPDATE') {
+      pendingGalleries = message.pendingGalleries;
+      updateStats();
+    } else if (message.type === 'UNMATCHED_UPDATE') {
+      refreshUnmatched();
+    } else if (message.type === 'STATS_UPDATE') {
+      tabStats = message.stats || {};
+      batchStats = message.batchStats;
+      renderStats();
+    } else if (message.type === 'BATCH_UPDATE') {
+      batch = message.batch;
+      renderBatchControls();
     }
   });
+
+  // 使い回された管理タブは別のギャラリーに遷移するのでタイトルを取り直す
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.title && tabsState.has(tabId)) scheduleRefresh();
+  });
+}
+
+let refreshTimer = null;
+
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(refreshTabList, 500);
 }
 
 async function refreshTabList() {
@@ -26,22 +82,30 @@ async function refreshTabList() {
     // まずバックグラウンドから現在のステータスを取得
     const statusResponse = await chrome.runtime.sendMessage({ type: 'GET_STATUS' });
     const savedStatus = statusResponse?.downloads || {};
+    pendingGalleries = statusResponse?.pendingGalleries || 0;
+    batch = statusResponse?.batch || null;
+    tabStats = statusResponse?.stats || {};
+    batchStats = statusResponse?.batchStats || null;
+    knownTabIds = new Set(Object.keys(savedStatus).map(Number));
 
-    const tabs = await chrome.tabs.query({
-      currentWindow: true,
-      url: '*://hitomi.la/*'
-    });
+    const historyResponse = await chrome.runtime.sendMessage({ type: 'GET_HISTORY' });
+    downloadHistory = historyResponse?.history || {};
 
     // Filter to content pages (not search/list pages)
-    const contentTabs = tabs.filter(tab =>
-      tab.url &&
-      (tab.url.includes('/doujinshi/') ||
-        tab.url.includes('/manga/') ||
-        tab.url.includes('/gamecg/') ||
-        tab.url.includes('/cg/') ||
-        tab.url.includes('/anime/') ||
-        tab.url.includes('/imageset/'))
-    );
+    const contentTabs = await queryTargetTabs(targetScope, settings.contentPaths);
+
+    // 並べ替え済みの順序を保ち、新しいタブは末尾に追加する
+    const previousOrder = [...tabsState.keys()];
+    const orderOf = tab => {
+      const index = previousOrder.indexOf(tab.id);
+      return index === -1 ? previousOrder.length : index;
+    };
+    contentTabs.sort((a, b) => orderOf(a) - orderOf(b));
+
+    // 新しく見つかったタブは選択状態にする
+    for (const tab of contentTabs) {
+      if (!tabsState.has(tab.id)) selectedTabIds.add(tab.id);
+    }
 
     // Update state - 保存されたステータスがあれば使用
     tabsState = new Map(contentTabs.map(tab => {
@@ -52,14 +116,21 @@ async function refreshTabList() {
           id: tab.id,
           title: tab.title || 'Unknown',
           url: tab.url,
+          windowId: tab.windowId,
+          galleryId: extractGalleryId(tab.url),
           status: saved?.status || 'pending',
-          details: saved?.details || ''
+          details: saved?.details || '',
+          retry: saved?.retry || null,
+          managed: !!saved?.managed
         }
       ];
     }));
+    selectedTabIds = new Set([...selectedTabIds].filter(tabId => tabsState.has(tabId)));
 
     renderTabList();
     updateStats();
+    renderBatchControls();
+    renderStats();
   } catch (error) {
     console.error('Failed to refresh tab list:', error);
   }
@@ -70,6 +141,7 @@ function renderTabList() {
 
   if (tabsState.size === 0) {
     listElement.innerHTML = '<li class="empty-state">対象タブがありません</li>';
+    updateSelectedCount();
     return;
   }
 
@@ -78,6 +150,22 @@ function renderTabList() {
   for (const [tabId, tab] of tabsState) {
     const li = document.createElement('li');
     li.dataset.tabId = tabId;
+    li.draggable = true;
+    li.addEventListener('dragstart', handleDragStart);
+    li.addEventListener('dragover', handleDragOver);
+    li.addEventListener('dragleave', handleDragLeave);
+    li.addEventListener('drop', handleDrop);
+    li.addEventListener('dragend', handleDragEnd);
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'tab-select';
+    checkbox.checked = selectedTabIds.has(tabId);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) selectedTabIds.add(tabId);
+      else selectedTabIds.delete(tabId);
+      updateSelectedCount();
+    });
 
     const statusIcon = document.createElement('span');
     statusIcon.className = `status-icon status-${tab.status}`;
@@ -92,10 +180,83 @@ function renderTabList() {
     statusText.className = 'tab-status-text';
     statusText.textContent = getStatusText(tab.status, tab.details);
 
+    const retryBadge = document.createElement('span');
+    retryBadge.className = 'retry-badge';
+    renderRetryBadge(retryBadge, tab.retry);
+
+    li.appendChild(checkbox);
     li.appendChild(statusIcon);
     li.appendChild(title);
+
+    if (tab.managed) {
+      const managedBadge = document.createElement('span');
+      managedBadge.className = 'managed-badge';
+      managedBadge.textContent = '管理';
+      managedBadge.title = '拡張機能が開いたタブ（完了後に自動で閉じる・使い回す）';
+      li.appendChild(managedBadge);
+    }
+
+    const history = downloadHistory[tab.galleryId];
+    if (history) {
+      const historyBadge = document.createElement('span');
+      historyBadge.className = 'history-badge';
+      historyBadge.textContent = '取得済み';
+      historyBadge.title = `${new Date(history.completedAt).toLocaleString()}\n${history.filename || ''}`;
+      li.appendChild(historyBadge);
+    }
+
+    const rowProgress = document.createElement('span');
+    rowProgress.className = 'row-progress';
+
+    li.appendChild(retryBadge);
     li.appendChild(statusText);
+    li.appendChild(createRowActions(tabId));
+    li.appendChild(rowProgress);
     listElement.appendChild(li);
+    updateRowActions(li, tab.status);
+  }
+
+  updateSelectedCount();
+}
+
+function createRowActions(tabId) {
+  const actions = document.createElement('span');
+  actions.className = 'row-actions';
+
+  const buttons = [
+    ['row-download', '⬇', 'このタブだけダウンロード', () => startDownloads([tabId])],
+    ['row-focus', '↗', 'タブを表示', () => focusTab(tabId)],
+    ['row-retry', '🔁', 'リロードして再ダウンロード', () => retryTabs([tabId])],
+    ['row-cancel', '✕', 'このタブをキャンセル', () => cancelTab(tabId)]
+  ];
+
+  for (const [className, icon, label, handler] of buttons) {
+    const button = document.createElement('button');
+    button.className = `icon-button ${className}`;
+    button.textContent = icon;
+    button.title = label;
+    button.addEventListener('click', handler);
+    actions.appendChild(button);
+  }
+
+  return actions;
+}
+
+// ステータスに応じて行ごとの操作ボタンを出し分ける
+function updateRowActions(li, status) {
+  const active = isCancellable(status);
+  li.querySelector('.row-download').hidden = active;
+  li.querySelector('.row-retry').hidden = active || status === 'pending';
+  li.querySelector('.row-cancel').hidden = !active;
+}
+
+function renderRetryBadge(element, retry) {
+  if (retry && retry.attempt > 0) {
+    element.textContent = `retry ${retry.attempt}/${retry.maxAttempts}`;
+    element.hidden = false;
+  } else {
+    element.textContent = '';
+    element.hidden = true;
   }
 }
 
@@ -107,9 +268,15 @@ function cleanTitle(title) {
 function getStatusEmoji(status) {
   const emojis = {
     'pending': '○',
+    'queued': '⋯',
     'in-progress': '◐',
+    'retrying': '↻',
+    'stalled': '⚠',
+    'corrupt': '⊠',
+    'skipped': '–',
     'complete': '✓',
-    'error': '✕'
+    'error': '✕',
+    'cancelled': '⊘'
   };
   return emojis[status] || '○';
 }
@@ -117,18 +284,25 @@ function getStatusEmoji(status) {
 function getStatusText(status, details) {
   const texts = {
     'pending': '待機中',
+    'queued': details || 'キュー待機中',
     'in-progress': details || 'ダウンロード中...',
+    'retrying': details || '再試行待機中',
+    'stalled': details || '停止',
+    'corrupt': details || 'ZIPが壊れています',
+    'skipped': details || 'スキップ',
     'complete': '完了',
-    'error': details || 'エラー'
+    'error': details || 'エラー',
+    'cancelled': 'キャンセル'
   };
   return texts[status] || status;
 }
 
-function updateTabStatus(tabId, status, details = '') {
+function updateTabStatus(tabId, status, details = '', retry) {
   if (tabsState.has(tabId)) {
     const tab = tabsState.get(tabId);
     tab.status = status;
     tab.details = details;
+    if (retry !== undefined) tab.retry = retry;
     tabsState.set(tabId, tab);
 
     // Update UI
@@ -140,6 +314,8 @@ function updateTabStatus(tabId, status, details = '') {
       statusIcon.className = `status-icon status-${status}`;
       statusIcon.textContent = getStatusEmoji(status);
       statusText.textContent = getStatusText(status, details);
+      renderRetryBadge(li.querySelector('.retry-badge'), tab.retry);
+      updateRowActions(li, status);
     }
 
     updateStats();
@@ -152,17 +328,21 @@ function updateDownloadProgress(tabId, progress) {
 
 function updateStats() {
   let complete = 0;
+  let queued = 0;
   let inProgress = 0;
   let error = 0;
 
   for (const tab of tabsState.values()) {
     if (tab.status === 'complete') complete++;
-    else if (tab.status === 'in-progress') inProgress++;
-    else if (tab.status === 'error') error++;
+    else if (tab.status === 'queued') queued++;
+    else if (tab.status === 'in-progress' || tab.status === 'retrying') inProgress++;
+    else if (tab.status === 'error' || tab.status === 'stalled' || tab.status === 'corrupt') error++;
   }
 
   document.getElementById('totalTabs').textContent = tabsState.size;
   document.getElementById('completedCount').textContent = complete;
+  // 一覧ページから追加され、まだタブを開いていないギャラリーもキューに数える
+  document.getElementById('queuedCount').textContent = queued + pendingGalleries;
   document.getElementById('inProgressCount').textContent = inProgress;
   document.getElementById('errorCount').textContent = error;
 }
@@ -173,23 +353,44 @@ async function startDownloadAll() {
   btn.innerHTML = '<span class="icon">⏳</span> 処理中...';
 
   try {
-    const tabIds = Array.from(tabsState.keys());
+    // 一覧の並び順のまま、選択したタブだけを送る
+    const tabIds = [...tabsState.keys()].filter(tabId => selectedTabIds.has(tabId));
 
     if (tabIds.length === 0) {
-      alert('対象となるhitomi.laのタブがありません');
+      alert('ダウンロードするタブが選択されていません');
       return;
     }
 
-    // Mark all as in-progress
+    await startDownloads(tabIds);
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<span class="icon">▶</span> 選択したタブでダウンロード開始';
+  }
+}
+
+async function startDownloads(tabIds) {
+  try {
+    // 取得済みのギャラリーが含まれていればスキップするか確認
+    const duplicates = tabIds.filter(tabId => downloadHistory[tabsState.get(tabId).galleryId]);
+    let duplicatePolicy = 'skip';
+    if (duplicates.length > 0) {
+      const skip = confirm(`${duplicates.length}個のギャラリーは取得済みです。スキップしますか？\n（キャンセルで取得済みも再ダウンロード）`);
+      duplicatePolicy = skip ? 'skip' : 'warn';
+    }
+
+    // Mark all as queued - background starts them as slots free up
     for (const tabId of tabIds) {
-      updateTabStatus(tabId, 'in-progress', '開始中...');
+      if (!isCancellable(tabsState.get(tabId).status)) {
+        updateTabStatus(tabId, 'queued', 'キュー待機中');
+      }
     }
 
     // Send message to background to start downloads
     const response = await chrome.runtime.sendMessage({
       type: 'START_DOWNLOADS',
       tabIds: tabIds,
-      delay: 1000  // 1 second delay between each tab
+      duplicatePolicy: duplicatePolicy,
+      scope: targetScope
     });
 
     if (!response.success) {
@@ -198,15 +399,12 @@ async function startDownloadAll() {
   } catch (error) {
     console.error('Error starting downloads:', error);
     alert('ダウンロード開始中にエラーが発生しました: ' + error.message);
-  } finally {
-    btn.disabled = false;
-    btn.innerHTML = '<span class="icon">▶</span> 全タブでダウンロード開始';
   }
 }
 
 /**
  * 未完了のタブをリロードして再ダウンロード
- * 対象: pending, in-progress, error ステータスのタブ（completeは除外）
+ * 対象: pending, in-progress, error ステータスのタブ（complete と、除外・キャンセルした skipped / cancelled は除く）
  */
 async function retryIncomplete() {
   const btn = document.getElementById('retryDownload');
@@ -214,10 +412,10 @@ async function retryIncomplete() {
   btn.innerHTML = '<span class="icon">⏳</span> リロード中...';
 
   try {
-    // 未完了のタブを抽出（complete以外すべて）
+    // 未完了のタブを抽出（フィルタ・取得済みで除外したものを落とさないよう、skipped は行ごとのボタンでのみ再ダウンロード）
     const incompleteTabs = [];
     for (const [tabId, tab] of tabsState) {
-      if (tab.status !== 'complete') {
+      if (!['complete', 'skipped', 'cancelled'].includes(tab.status)) {
         incompleteTabs.push(tabId);
       }
     }
@@ -233,16 +431,25 @@ async function retryIncomplete() {
       return;
     }
 
+    await retryTabs(incompleteTabs);
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<span class="icon">🔁</span> 未完了を再ダウンロード';
+  }
+}
+
+async function retryTabs(tabIds) {
+  try {
     // 各タブをリロードして再ダウンロード
-    for (const tabId of incompleteTabs) {
+    for (const tabId of tabIds) {
       updateTabStatus(tabId, 'pending', 'リロード中...');
     }
 
     // バックグラウンドに再ダウンロードをリクエスト
     const response = await chrome.runtime.sendMessage({
       type: 'RETRY_DOWNLOADS',
-      tabIds: incompleteTabs,
-      delay: 2000  // リロード後の待機時間を少し長めに
+      tabIds: tabIds,
+      scope: targetScope
     });
 
     if (!response.success) {
@@ -252,8 +459,354 @@ async function retryIncomplete() {
   } catch (error) {
     console.error('Error retrying downloads:', error);
     alert('再ダウンロード中にエラーが発生しました: ' + error.message);
-  } finally {
-    btn.disabled = false;
-    btn.innerHTML = '<span class="icon">🔁</span> 未完了を再ダウンロード';
   }
 }
+
+async function focusTab(tabId) {
+  const tab = tabsState.get(tabId);
+  try {
+    await chrome.tabs.update(tabId, { active: true });
+    if (tab?.windowId !== undefined) await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    console.error('Failed to focus tab:', error);
+  }
+}
+
+// ============================================
+// 選択・並べ替え
+// ============================================
+
+function setSelection(predicate) {
+  selectedTabIds = new Set([...tabsState.keys()].filter(predicate));
+  for (const checkbox of document.querySelectorAll('#tabList .tab-select')) {
+    checkbox.checked = selectedTabIds.has(parseInt(checkbox.closest('li').dataset.tabId, 10));
+  }
+  updateSelectedCount();
+}
+
+function updateSelectedCount() {
+  document.getElementById('selectedCount').textContent =
+    tabsState.size > 0 ? `${selectedTabIds.size}/${tabsState.size}` : '';
+}
+
+function handleDragStart(event) {
+  draggedTabId = parseInt(event.currentTarget.dataset.tabId, 10);
+  event.currentTarget.classList.add('dragging');
+  event.dataTransfer.effectAllowed = 'move';
+}
+
+function handleDragOver(event) {
+  if (draggedTabId === null) return;
+  event.preventDefault();
+  const li = event.currentTarget;
+  const after = isDropAfter(event, li);
+  li.classList.toggle('drop-before', !after);
+  li.classList.toggle('drop-after', after);
+}
+
+function handleDragLeave(event) {
+  event.currentTarget.classList.remove('drop-before', 'drop-after');
+}
+
+function handleDrop(event) {
+  event.preventDefault();
+  const targetTabId = parseInt(event.currentTarget.dataset.tabId, 10);
+  if (draggedTabId === null || targetTabId === draggedTabId) return;
+
+  const order = [...tabsState.keys()].filter(tabId => tabId !== draggedTabId);
+  const index = order.indexOf(targetTabId) + (isDropAfter(event, event.currentTarget) ? 1 : 0);
+  order.splice(index, 0, draggedTabId);
+
+  tabsState = new Map(order.map(tabId => [tabId, tabsState.get(tabId)]));
+  renderTabList();
+}
+
+function handleDragEnd() {
+  draggedTabId = null;
+  for (const li of document.querySelectorAll('#tabList li')) {
+    li.classList.remove('dragging', 'drop-before', 'drop-after');
+  }
+}
+
+// 行の下半分にドロップしたら後ろに入れる
+function isDropAfter(event, li) {
+  const rect = li.getBoundingClientRect();
+  return event.clientY > rect.top + rect.height / 2;
+}
+
+// ============================================
+// 転送量・速度・残り時間
+// ============================================
+
+function renderStats() {
+  for (const li of document.querySelectorAll('#tabList li[data-tab-id]')) {
+    const stats = tabStats[li.dataset.tabId];
+    const bar = li.querySelector('.row-progress');
+    const status = tabsState.get(parseInt(li.dataset.tabId, 10))?.status;
+    // まだ始まっていないタブにはバーを出さない
+    const show = stats && status !== 'pending' && status !== 'queued' && status !== 'skipped';
+    bar.style.width = show ? `${Math.round(stats.fraction * 100)}%` : '0';
+    li.title = show ? formatStats(stats) : '';
+  }
+
+  const container = document.getElementById('batchProgress');
+  container.hidden = !batchStats;
+  if (!batchStats) return;
+
+  document.getElementById('batchProgressFill').style.width = `${Math.round(batchStats.fraction * 100)}%`;
+  document.getElementById('batchProgressText').textContent =
+    `${Math.round(batchStats.fraction * 100)}% · ${formatStats(batchStats)}`;
+}
+
+function formatStats(stats) {
+  const parts = [];
+  // 直接ダウンロードのタブだけ取得済みのページ数が分かる
+  if (stats.pages) parts.push(`${stats.pages.done} / ${stats.pages.total} 枚`);
+  if (stats.bytesReceived) {
+    parts.push(stats.totalBytes
+      ? `${formatBytes(stats.bytesReceived)} / ${formatBytes(stats.totalBytes)}`
+      : formatBytes(stats.bytesReceived));
+  }
+  if (stats.speed > 0) parts.push(`${formatBytes(stats.speed)}/s`);
+  if (stats.eta !== null) parts.push(`残り ${formatDuration(stats.eta)}`);
+  if (stats.elapsed !== null) parts.push(`経過 ${formatDuration(stats.elapsed)}`);
+  return parts.join(' · ');
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// ============================================
+// 対象範囲（ウィンドウ・タブグループ・選択中のタブ）
+// ============================================
+
+async function loadTargetScope() {
+  const { popupScope } = await chrome.storage.local.get('popupScope');
+  if (popupScope) targetScope = popupScope;
+  await renderTargetScopeOptions();
+}
+
+async function renderTargetScopeOptions() {
+  const select = document.getElementById('targetScope');
+  select.innerHTML = '';
+
+  for (const type of ['current-window', 'all-windows', 'highlighted']) {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = SCOPE_LABELS[type];
+    select.appendChild(option);
+  }
+
+  const groups = await chrome.tabGroups.query({});
+  for (const group of groups) {
+    const option = document.createElement('option');
+    option.value = `group:${group.id}`;
+    option.textContent = `グループ: ${group.title || '(無題)'}`;
+    select.appendChild(option);
+  }
+
+  // 前回選んだグループが閉じられていたら現在のウィンドウに戻す
+  if (targetScope.type === 'group' && !groups.some(group => group.id === targetScope.groupId)) {
+    targetScope = { type: 'current-window' };
+  }
+  select.value = targetScope.type === 'group' ? `group:${targetScope.groupId}` : targetScope.type;
+}
+
+async function changeTargetScope(event) {
+  const value = event.target.value;
+  if (value.startsWith('group:')) {
+    const groupId = parseInt(value.slice('group:'.length), 10);
+    const option = event.target.selectedOptions[0];
+    targetScope = { type: 'group', groupId, groupTitle: option.textContent.replace(/^グループ: /, '') };
+  } else {
+    targetScope = { type: value };
+  }
+
+  await chrome.storage.local.set({ popupScope: targetScope });
+  await refreshTabList();
+}
+
+// ============================================
+// バッチ操作（一時停止・再開・キャンセル）
+// ============================================
+
+function isCancellable(status) {
+  return status === 'queued' || status === 'in-progress' || status === 'retrying';
+}
+
+function renderBatchControls() {
+  const state = batch?.state;
+  document.getElementById('pauseBatch').disabled = state !== 'running';
+  document.getElementById('resumeBatch').disabled = state !== 'paused';
+  document.getElementById('cancelBatch').disabled = state !== 'running' && state !== 'paused';
+
+  const labels = {
+    'running': '実行中',
+    'paused': '一時停止中',
+    'cancelled': 'キャンセル済み',
+    'finished': '完了'
+  };
+  const stateElement = document.getElementById('batchState');
+  stateElement.textContent = labels[state] || '';
+  stateElement.title = batch?.scope ? `対象: ${getScopeLabel(batch.scope)}` : '';
+  stateElement.className = `batch-state batch-${state || 'none'}`;
+}
+
+async function sendBatchCommand(type) {
+  try {
+    await chrome.runtime.sendMessage({ type });
+  } catch (error) {
+    console.error(`Failed to send ${type}:`, error);
+  }
+}
+
+async function cancelBatch() {
+  if (!confirm('実行中のバッチをキャンセルしますか？\n（キュー待機中のタブと進行中のダウンロードをすべて中止します）')) {
+    return;
+  }
+  await sendBatchCommand('CANCEL_BATCH');
+}
+
+async function cancelTab(tabId) {
+  try {
+    await chrome.runtime.sendMessage({ type: 'CANCEL_TAB', tabId });
+  } catch (error) {
+    console.error('Failed to cancel tab:', error);
+  }
+}
+
+// ============================================
+// 未紐付けダウンロード（マッチング診断）
+// ============================================
+
+async function refreshUnmatched() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_UNMATCHED' });
+    renderUnmatched(response?.unmatched || []);
+  } catch (error) {
+    console.error('Failed to load unmatched downloads:', error);
+  }
+}
+
+function renderUnmatched(unmatched) {
+  const section = document.getElementById('unmatchedSection');
+  const listElement = document.getElementById('unmatchedList');
+
+  section.hidden = unmatched.length === 0;
+  listElement.innerHTML = '';
+
+  for (const download of unmatched) {
+    const li = document.createElement('li');
+    li.className = 'unmatched-item';
+
+    const header = document.createElement('div');
+    header.className = 'unmatched-header';
+
+    const name = document.createElement('span');
+    name.className = 'unmatched-filename';
+    name.textContent = download.filename?.split(/[\\/]/).pop() || '(ファイル名未確定)';
+    name.title = download.filename || download.url || '';
+
+    const state = document.createElement('span');
+    state.className = 'tab-status-text';
+    state.textContent = getDownloadStateText(download.state, download.error);
+
+    const dismiss = document.createElement('button');
+    dismiss.className = 'icon-button';
+    dismiss.textContent = '✕';
+    dismiss.title = '一覧から削除';
+    dismiss.addEventListener('click', () => dismissUnmatched(download.downloadId));
+
+    header.appendChild(name);
+    header.appendChild(state);
+    header.appendChild(dismiss);
+
+    const assignRow = document.createElement('div');
+    assignRow.className = 'unmatched-assign';
+
+    const select = document.createElement('select');
+    for (const option of buildCandidateOptions(download.candidates)) {
+      select.appendChild(option);
+    }
+
+    const assign = document.createElement('button');
+    assign.className = 'btn btn-secondary btn-small';
+    assign.textContent = '割り当て';
+    assign.disabled = select.options.length === 0;
+    assign.addEventListener('click', () => assignDownload(download.downloadId, parseInt(select.value, 10)));
+
+    assignRow.appendChild(select);
+    assignRow.appendChild(assign);
+
+    li.appendChild(header);
+    li.appendChild(assignRow);
+    listElement.appendChild(li);
+  }
+}
+
+// スコア付きの候補を先頭に、残りの未完了タブをその後に並べる
+function buildCandidateOptions(candidates) {
+  const options = [];
+  const seen = new Set();
+
+  for (const candidate of candidates) {
+    if (!tabsState.has(candidate.tabId)) continue;
+    const option = document.createElement('option');
+    option.value = candidate.tabId;
+    option.textContent = `${candidate.score}点: ${cleanTitle(tabsState.get(candidate.tabId).title)}`;
+    options.push(option);
+    seen.add(candidate.tabId);
+  }
+
+  for (const [tabId, tab] of tabsState) {
+    if (seen.has(tabId) || tab.status === 'complete') continue;
+    const option = document.createElement('option');
+    option.value = tabId;
+    option.textContent = `-: ${cleanTitle(tab.title)}`;
+    options.push(option);
+  }
+
+  return options;
+}
+
+function getDownloadStateText(state, error) {
+  const texts = {
+    'in_progress': 'ダウンロード中',
+    'complete': '完了',
+    'interrupted': error || '中断'
+  };
+  return texts[state] || state;
+}
+
+async function assignDownload(downloadId, tabId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'ASSIGN_DOWNLOAD', downloadId, tabId });
+    if (!response.success) {
+      alert('割り当てに失敗しました: ' + response.error);
+    }
+  } catch (error) {
+    console.error('Error assigning download:', error);
+  }
+  await refreshUnmatched();
+}
+
+async function dismissUnmatched(downloadId) {
+  await chrome.runtime.sendMessage({ type: 'DISMISS_UNMATCHED', downloadId });
+  await refreshUnmatched();
+}
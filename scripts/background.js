@@ -1,6 +1,8 @@
 // Background Service Worker
 // v2.6.0 - 類似タイトル対策（話数・番号を重視）
 
+importScripts('settings.js', 'page-adapter.js', 'filename.js', 'sidecar.js', 'filters.js', 'zip-check.js', 'gallery-source.js', 'image-checkpoint.js');
+
 // ============================================
 // State Management
 // ============================================
@@ -10,29 +12,219 @@ let monitoredTabs = new Set();
 let progressPollingInterval = null;
 let unmatchedDownloads = new Map();
 
+// ダウンロードキュー（同時実行数を制限）
+let downloadQueue = [];
+// 一覧ページから追加された、まだタブを開いていないギャラリー
+let galleryQueue = [];
+let queueProcessing = false;
+let lastQueueStartTime = 0;
+// 開いている最中・使い回し待ちのタブ数（まだ downloadState に現れないがスロットを占有する）
+let reservedSlots = 0;
+
+// 実行中のバッチ（一時停止・再開・キャンセルの単位）
+let currentBatch = null;
+
+// サービスワーカーはいつでも停止されるので、監視対象とキューも一緒に保存する
 async function saveStateToStorage() {
     const stateObject = {};
     for (const [tabId, state] of downloadState) {
         stateObject[tabId] = state;
     }
-    await chrome.storage.local.set({ downloadState: stateObject });
+    await chrome.storage.local.set({
+        downloadState: stateObject,
+        monitoredTabs: [...monitoredTabs],
+        downloadQueue: downloadQueue,
+        galleryQueue: galleryQueue,
+        currentBatch: currentBatch
+    });
 }
 
 async function loadStateFromStorage() {
     try {
-        const result = await chrome.storage.local.get('downloadState');
+        const result = await chrome.storage.local.get([
+            'downloadState', 'monitoredTabs', 'downloadQueue', 'galleryQueue', 'currentBatch'
+        ]);
         if (result.downloadState) {
             downloadState = new Map(Object.entries(result.downloadState).map(
                 ([k, v]) => [parseInt(k), v]
             ));
             console.log('[Background] Restored state:', downloadState.size, 'tabs');
         }
+        monitoredTabs = new Set(result.monitoredTabs || []);
+        downloadQueue = result.downloadQueue || [];
+        galleryQueue = result.galleryQueue || [];
+        currentBatch = result.currentBatch || null;
     } catch (error) {
         console.error('[Background] Failed to load state:', error);
     }
 }
 
-loadStateFromStorage();
+const stateLoaded = loadStateFromStorage();
+
+// ============================================
+// Unmatched Downloads（タブに紐付けられなかったダウンロード）
+// ============================================
+
+// 診断パネルに残す件数の上限
+const MAX_UNMATCHED_DOWNLOADS = 50;
+
+async function saveUnmatchedToStorage() {
+    await chrome.storage.local.set({ unmatchedDownloads: Object.fromEntries(unmatchedDownloads) });
+    chrome.runtime.sendMessage({ type: 'UNMATCHED_UPDATE' }).catch(() => { });
+}
+
+async function loadUnmatchedFromStorage() {
+    try {
+        const result = await chrome.storage.local.get('unmatchedDownloads');
+        if (result.unmatchedDownloads) {
+            unmatchedDownloads = new Map(Object.entries(result.unmatchedDownloads).map(
+                ([k, v]) => [parseInt(k), v]
+            ));
+            console.log('[Background] Restored unmatched:', unmatchedDownloads.size, 'downloads');
+        }
+    } catch (error) {
+        console.error('[Background] Failed to load unmatched downloads:', error);
+    }
+}
+
+const unmatchedLoaded = loadUnmatchedFromStorage();
+
+async function setUnmatched(downloadId, info) {
+    await unmatchedLoaded;
+    unmatchedDownloads.set(downloadId, info);
+    // 古いものから捨てる（Map は挿入順）
+    while (unmatchedDownloads.size > MAX_UNMATCHED_DOWNLOADS) {
+        unmatchedDownloads.delete(unmatchedDownloads.keys().next().value);
+    }
+    await saveUnmatchedToStorage();
+}
+
+async function deleteUnmatched(downloadId) {
+    await unmatchedLoaded;
+    if (unmatchedDownloads.delete(downloadId)) {
+        await saveUnmatchedToStorage();
+    }
+}
+
+// 診断パネル用: 未紐付けダウンロードと現在のダウンロード状態
+async function getUnmatchedList() {
+    await unmatchedLoaded;
+    const list = [];
+    for (const [downloadId, info] of unmatchedDownloads) {
+        let item = null;
+        try {
+            [item] = await chrome.downloads.search({ id: downloadId });
+        } catch (error) { }
+        list.push({
+            downloadId,
+            filename: item?.filename || info.filename,
+            url: info.url,
+            state: item?.state || info.state || 'unknown',
+            error: item?.error || null,
+            candidates: info.candidates || []
+        });
+    }
+    return list;
+}
+
+// 手動でダウンロードをタブに割り当て、既に終わっていればその結果を即座に反映する
+async function assignDownloadToTab(downloadId, tabId) {
+    const state = downloadState.get(tabId);
+    if (!state) throw new Error('対象タブの状態がありません');
+    if (state.downloadId && state.downloadId !== downloadId) {
+        throw new Error('このタブには別のダウンロードが紐付いています');
+    }
+
+    // 再試行中などでも手動で割り当てたら進行中として扱う
+    removeFromQueue(tabId);
+    state.status = 'in-progress';
+    await bindDownloadToTab(tabId, downloadId, 'manual', null);
+    await deleteUnmatched(downloadId);
+
+    const [item] = await chrome.downloads.search({ id: downloadId });
+    if (item?.state === 'complete') {
+        await completeTabDownload(tabId, downloadId);
+    } else if (item?.state === 'interrupted') {
+        failTabDownload(tabId, item.error || '中断');
+        await saveStateToStorage();
+    } else {
+        updateTabState(tabId, 'in-progress', 'ダウンロード中...');
+    }
+}
+
+// ============================================
+// Settings
+// ============================================
+
+let settings = { ...DEFAULT_SETTINGS };
+
+const settingsLoaded = loadSettings().then(loaded => { settings = loaded; });
+
+// 設定変更は拡張機能をリロードせずに反映する
+onSettingsChanged(updated => {
+    const pollingChanged = updated.pollingInterval !== settings.pollingInterval;
+    settings = updated;
+    console.log('[Background] Settings updated');
+
+    if (pollingChanged && progressPollingInterval) {
+        stopProgressPolling();
+        startProgressPolling();
+    }
+    // 同時実行数が増えた場合に備えてキューを進める
+    processQueue();
+});
+
+// ============================================
+// Download History
+// ============================================
+
+// galleryId をキーにした完了済みギャラリーの永続履歴
+let downloadHistory = {};
+// 終了したバッチの統計（新しい順）
+let batchHistory = [];
+const MAX_BATCH_HISTORY = 50;
+
+async function loadHistoryFromStorage() {
+    try {
+        const result = await chrome.storage.local.get(['downloadHistory', 'batchHistory']);
+        downloadHistory = result.downloadHistory || {};
+        batchHistory = result.batchHistory || [];
+        console.log('[Background] Restored history:', Object.keys(downloadHistory).length, 'galleries');
+    } catch (error) {
+        console.error('[Background] Failed to load history:', error);
+    }
+}
+
+const historyLoaded = loadHistoryFromStorage();
+
+async function addToHistory(tabId, downloadId) {
+    await historyLoaded;
+
+    const state = downloadState.get(tabId);
+    if (!state || !state.galleryId) return;
+
+    let item = null;
+    try {
+        [item] = await chrome.downloads.search({ id: downloadId });
+    } catch (error) {
+        console.error('[Background] Failed to look up download:', error);
+    }
+
+    downloadHistory[state.galleryId] = {
+        galleryId: state.galleryId,
+        title: cleanTitle(state.title),
+        url: state.url,
+        metadata: state.metadata || null,
+        filename: item?.filename || null,
+        fileSize: item?.fileSize ?? item?.totalBytes ?? null,
+        elapsed: state.startTime ? Date.now() - state.startTime : null,
+        verified: state.verified || null,
+        completedAt: Date.now()
+    };
+
+    await chrome.storage.local.set({ downloadHistory });
+    console.log(`[Background] History: ${state.galleryId} recorded`);
+}
 
 // ============================================
 // 文字列マッチング関数（改良版）
@@ -49,12 +241,6 @@ function cleanFilename(filepath) {
     return filename.replace(/\.zip$/i, '').trim();
 }
 
-function extractGalleryId(url) {
-    if (!url) return null;
-    const match = url.match(/-(\d+)\.html/);
-    return match ? match[1] : null;
-}
-
 // 話数・番号を抽出（複数パターン対応）
 function extractEpisodeNumbers(str) {
     if (!str) return [];
@@ -204,20 +390,133 @@ function getBigrams(str) {
     return bigrams;
 }
 
-// マッチング実行
-async function matchDownloadToTab(downloadId, filename, url) {
+// ============================================
+// Download Correlation（URL・リファラ・タイミングによる確定的な紐付け）
+// ============================================
+
+// クリック・ZIP準備完了からダウンロード開始までに許容する時間
+const CORRELATION_WINDOW = 30000;
+
+function toDownloadInfo(downloadItem) {
+    return {
+        filename: downloadItem.filename || null,
+        url: downloadItem.url || null,
+        referrer: downloadItem.referrer || null,
+        mime: downloadItem.mime || null,
+        createdAt: downloadItem.startTime ? Date.parse(downloadItem.startTime) : Date.now()
+    };
+}
+
+function isHitomiUrl(url) {
+    try {
+        // blob:https://hitomi.la/... も URL のオリジンで判定できる
+        const origin = url.startsWith('blob:') ? new URL(url.slice(5)).origin : new URL(url).origin;
+        return /(^|\.)hitomi\.la$/.test(new URL(origin).hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+// 紐付け候補: 進行中でまだダウンロードが確定していないタブ
+function getMatchCandidates(info) {
+    const candidates = [];
+    for (const [tabId, state] of downloadState) {
+        if (state.status !== 'in-progress') continue;
+        if (state.downloadId) continue;
+        // ダウンロード開始より後にクリックされたタブは発生源になり得ない
+        if (state.clickedAt && state.clickedAt > info.createdAt) continue;
+        candidates.push([tabId, state]);
+    }
+    return candidates;
+}
+
+// ページが生成したZIPらしいか（ギャラリーページから保存した画像などはリファラが hitomi.la でも対象外）
+function isGalleryArchive(info) {
+    if (info.url?.startsWith('blob:') && isHitomiUrl(info.url)) return true;
+    if (/^application\/(zip|x-zip-compressed)$/i.test(info.mime || '')) return true;
+    return /\.zip$/i.test(info.filename || '');
+}
+
+/**
+ * ファイル名を使わずにダウンロードとタブを確定的に紐付ける
+ * @returns {{ tabId: number, method: string } | null}
+ */
+function correlateDownload(candidates, info) {
+    // 1. ダウンロードURL・リファラに含まれるギャラリーIDが一致
+    // リファラ・候補数・タイミングは画像の保存などでも一致するので、ZIPと分かるものに限る
+    const archive = isGalleryArchive(info);
+
+    for (const [method, source] of [['url', info.url], ['referrer', info.referrer]]) {
+        if (method === 'referrer' && !archive) continue;
+        const galleryId = extractGalleryId(source);
+        if (!galleryId) continue;
+        const matches = candidates.filter(([, state]) => state.galleryId === galleryId);
+        if (matches.length === 1) return { tabId: matches[0][0], method };
+    }
+
+    if (!archive) return null;
+
+    // 2. 候補が1つしかない
+    if (candidates.length === 1) return { tabId: candidates[0][0], method: 'sole-candidate' };
+
+    // 3. ZIP準備完了の前後に始まったダウンロード（準備完了はポーリングで検知するので前後両方を見る）
+    const ready = candidates.filter(([, state]) =>
+        state.readyAt && info.createdAt >= state.readyAt - CORRELATION_WINDOW &&
+        info.createdAt - state.readyAt <= CORRELATION_WINDOW
+    );
+    if (ready.length === 1) return { tabId: ready[0][0], method: 'timing' };
+
+    return null;
+}
+
+async function bindDownloadToTab(tabId, downloadId, method, score) {
+    const state = downloadState.get(tabId);
+    state.downloadId = downloadId;
+    state.matchMethod = method;
+    state.matchScore = score;
+    downloadState.set(tabId, state);
+    await saveStateToStorage();
+    console.log(`[Background] ✓ MATCHED: download ${downloadId} -> tab ${tabId} (${method}${score !== null ? `, score: ${score}` : ''})`);
+}
+
+// マッチング実行（確定的な紐付け → ファイル名のあいまい一致の順）
+async function matchDownloadToTab(downloadId, info) {
+    const { filename } = info;
     console.log(`[Background] === Matching download ${downloadId} ===`);
     console.log(`[Background] File: "${filename}"`);
 
+    // onCreated / onDeterminingFilename の両方から呼ばれるため、既に紐付いていれば何もしない
+    if (findTabByDownloadId(downloadId) !== null) {
+        console.log(`[Background] Already matched: ${downloadId}`);
+        return true;
+    }
+
+    // hitomi.la 以外からのダウンロードは対象外
+    if (!(info.url && isHitomiUrl(info.url)) && !(info.referrer && isHitomiUrl(info.referrer))) {
+        console.log(`[Background] ✗ Not a hitomi.la download: ${info.url?.substring(0, 60)}`);
+        return false;
+    }
+
+    const matchCandidates = getMatchCandidates(info);
+
+    const correlated = correlateDownload(matchCandidates, info);
+    if (correlated) {
+        await bindDownloadToTab(correlated.tabId, downloadId, correlated.method, null);
+        return true;
+    }
+
+    // ここからはファイル名によるフォールバック
+    if (!filename) {
+        console.log('[Background] ✗ No correlation, waiting for filename');
+        return false;
+    }
+
     let bestMatch = null;
     let bestScore = 0;
 
     const candidates = [];
 
-    for (const [tabId, state] of downloadState) {
-        if (state.status !== 'in-progress') continue;
-        if (state.downloadId) continue;
-
+    for (const [tabId, state] of matchCandidates) {
         const score = calculateMatchScore(filename, state.title, state.galleryId);
         candidates.push({ tabId, score, title: state.title?.substring(0, 40) });
 
@@ -234,16 +533,16 @@ async function matchDownloadToTab(downloadId, filename, url) {
         console.log(`[Background]   ${c.score}: tab ${c.tabId} "${c.title}"`);
     }
 
-    // 閾値チェック（30に設定）
-    if (bestMatch !== null && bestScore >= 30) {
-        const state = downloadState.get(bestMatch);
-        state.downloadId = downloadId;
-        downloadState.set(bestMatch, state);
-        await saveStateToStorage();
-        console.log(`[Background] ✓ MATCHED: download ${downloadId} -> tab ${bestMatch} (score: ${bestScore})`);
+    // 閾値チェック（設定値、既定30）
+    if (bestMatch !== null && bestScore >= settings.matchThreshold) {
+        const galleryId = downloadState.get(bestMatch).galleryId;
+        const method = galleryId && cleanFilename(filename).includes(galleryId) ? 'filename-id' : 'fuzzy';
+        await bindDownloadToTab(bestMatch, downloadId, method, bestScore);
         return true;
     }
 
+    // 診断パネルで手動割り当てに使う
+    info.candidates = candidates.slice(0, 5);
     console.log(`[Background] ✗ No match (best: ${bestScore})`);
     return false;
 }
@@ -252,98 +551,242 @@ async function matchDownloadToTab(downloadId, filename, url) {
 // Progress Polling
 // ============================================
 
+// content script が進捗を送ってこないタブ（progressSource !== 'push'）だけを問い合わせる
 async function pollTabProgress(tabId) {
     try {
-        const results = await chrome.scripting.executeScript({
-            target: { tabId: tabId },
-            func: getProgressFromPage
-        });
-
-        if (results && results[0] && results[0].result) {
-            const { status, progress } = results[0].result;
-            const currentState = downloadState.get(tabId);
-            if (!currentState) return;
-
-            currentState.progress = progress;
-
-            if (status === 'downloading') {
-                updateTabState(tabId, 'in-progress', `${progress}%`);
-                currentState.hadProgressBar = true;
-            } else if (status === 'preparing') {
-                if (currentState.hadProgressBar && !currentState.downloadId) {
-                    updateTabState(tabId, 'in-progress', 'ZIP準備中...');
-                }
-            }
-        }
+        const result = await sendToContentScript(tabId, { type: 'CHECK_PROGRESS' });
+        if (result) applyPageProgress(tabId, result.status, result.progress);
     } catch (error) {
         try { await chrome.tabs.get(tabId); } catch (e) { monitoredTabs.delete(tabId); }
     }
 }
 
-function getProgressFromPage() {
-    const progressbar = document.getElementById('progressbar');
-    const dlButton = document.getElementById('dl-button');
-
-    if (progressbar) {
-        const display = window.getComputedStyle(progressbar).display;
-        if (display !== 'none') {
-            const value = progressbar.getAttribute('aria-valuenow');
-            return { status: 'downloading', progress: parseInt(value || '0', 10) };
+// ポーリングと content script からの通知（DOWNLOAD_PROGRESS / DOWNLOAD_PHASE）で共通の処理
+function applyPageProgress(tabId, status, progress) {
+    const currentState = downloadState.get(tabId);
+    if (!currentState || currentState.status !== 'in-progress') return;
+
+    recordProgress(currentState, progress);
+
+    if (status === 'downloading') {
+        currentState.hadProgressBar = true;
+        updateTabState(tabId, 'in-progress', `${progress}%`);
+    } else if (status === 'preparing') {
+        if (currentState.hadProgressBar && !currentState.downloadId) {
+            // タイミングによる紐付けに使う
+            if (!currentState.readyAt) currentState.readyAt = Date.now();
+            updateTabState(tabId, 'in-progress', 'ZIP準備中...');
         }
     }
-
-    if (dlButton && window.getComputedStyle(dlButton).display !== 'none') {
-        return { status: 'ready', progress: 0 };
-    }
-
-    return { status: 'preparing', progress: 100 };
 }
 
+// chrome.alarms はワーカーが停止していても発火して再起動させる。ただし最短間隔が30秒なので、
+// ワーカーが動いている間は setInterval で細かくポーリングし、アラームはその再開役に使う
+const POLL_ALARM = 'progress-poll';
+
 function startProgressPolling() {
     if (progressPollingInterval) return;
-    progressPollingInterval = setInterval(async () => {
-        if (monitoredTabs.size === 0) {
-            clearInterval(progressPollingInterval);
-            progressPollingInterval = null;
-            return;
-        }
-        for (const tabId of monitoredTabs) {
+    chrome.alarms.create(POLL_ALARM, { periodInMinutes: 0.5 });
+    progressPollingInterval = setInterval(pollMonitoredTabs, settings.pollingInterval);
+}
+
+function stopProgressPolling() {
+    clearInterval(progressPollingInterval);
+    progressPollingInterval = null;
+    chrome.alarms.clear(POLL_ALARM);
+}
+
+async function pollMonitoredTabs() {
+    if (monitoredTabs.size === 0) {
+        stopProgressPolling();
+        return;
+    }
+    for (const tabId of monitoredTabs) {
+        if (downloadState.get(tabId)?.downloadId) {
+            await sampleTransfer(tabId);
+        } else if (!['push', 'direct'].includes(downloadState.get(tabId)?.progressSource)) {
             await pollTabProgress(tabId);
         }
-    }, 2000);
+        checkStalled(tabId);
+    }
+    broadcastStats();
+}
+
+// ============================================
+// Stall Watchdog
+// ============================================
+
+// 進捗値が変わった時刻を記録する（ウォッチドッグ用）
+function recordProgress(state, progress) {
+    if (state.progress !== progress || !state.lastProgressAt) {
+        state.lastProgressAt = Date.now();
+    }
+    state.progress = progress;
+}
+
+// 一定時間進捗が動かないタブを stalled にする
+function checkStalled(tabId) {
+    const state = downloadState.get(tabId);
+    if (!state || state.status !== 'in-progress') return;
+    // ダウンロードが確定した後はChrome側の状態に任せる
+    if (state.downloadId) return;
+
+    const lastActivity = state.lastProgressAt || state.startTime;
+    if (!lastActivity || Date.now() - lastActivity < settings.stallTimeout) return;
+
+    const idleSeconds = Math.round((Date.now() - lastActivity) / 1000);
+    let reason;
+    if (state.hadProgressBar && state.progress >= 100) {
+        reason = `ZIP準備中のまま${idleSeconds}秒応答なし`;
+    } else if (state.hadProgressBar) {
+        reason = `進捗 ${state.progress}% のまま${idleSeconds}秒停止`;
+    } else {
+        reason = `ダウンロードが${idleSeconds}秒開始されない`;
+    }
+
+    console.log(`[Background] ⚠ STALLED: tab ${tabId} (${reason})`);
+    state.stallReason = reason;
+    monitoredTabs.delete(tabId);
+    if (state.engine === 'direct') cancelDirectDownload(tabId);
+    notifyStalled(tabId, reason);
+
+    if (settings.stallAutoRetry) {
+        handleDownloadFailure(tabId, reason, 'stalled');
+    } else {
+        updateTabState(tabId, 'stalled', reason);
+    }
 }
 
 function addToMonitoring(tabId) {
     monitoredTabs.add(tabId);
     startProgressPolling();
+    saveStateToStorage();
+}
+
+// ============================================
+// Content Script Bridge
+// ============================================
+
+// ページの操作はすべて content script（page-adapter.js）に任せる。注入するファイルは manifest を正とする
+const CONTENT_SCRIPT_FILES = chrome.runtime.getManifest().content_scripts[0].js;
+
+// 拡張機能の更新前から開いているタブにはスクリプトが無いので注入してから再送する
+// 読み込み中のタブは manifest 側の注入と重ならないよう、そのままエラーにする
+async function sendToContentScript(tabId, message) {
+    try {
+        return await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+        const tab = await chrome.tabs.get(tabId);
+        if (tab.status !== 'complete') throw error;
+
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: CONTENT_SCRIPT_FILES
+        });
+        return await chrome.tabs.sendMessage(tabId, message);
+    }
+}
+
+// ============================================
+// Gallery Metadata / Filename Rename
+// ============================================
+
+async function fetchGalleryMetadata(tabId) {
+    try {
+        return await sendToContentScript(tabId, { type: 'GET_METADATA' });
+    } catch (error) {
+        console.error(`[Background] Failed to read metadata from tab ${tabId}:`, error);
+        return null;
+    }
+}
+
+// URLの対象パス（/manga/ など）からコンテンツ種別を得る
+function getContentType(url) {
+    const path = settings.contentPaths.find(p => url?.includes(p));
+    return path ? path.replace(/\//g, '') : '';
+}
+
+function getFilenameTokens(state) {
+    const metadata = state.metadata || {};
+    return {
+        id: state.galleryId || '',
+        title: metadata.title || cleanTitle(state.title),
+        artist: metadata.artists?.join(', ') || '',
+        type: metadata.type || getContentType(state.url),
+        language: metadata.language || '',
+        date: formatDate(new Date())
+    };
+}
+
+async function determineFilename(downloadItem) {
+    if (downloadItem.byExtensionId === chrome.runtime.id) return null;
+    // このイベントでワーカーが起動した場合、タブの状態を読み込むまでは紐付けられない
+    await sessionRestored;
+    if (!settings.filenameTemplate) return null;
+    if (!/\.zip$/i.test(downloadItem.filename)) return null;
+
+    let tabId = findTabByDownloadId(downloadItem.id);
+    if (tabId === null) {
+        const matched = await matchDownloadToTab(downloadItem.id, toDownloadInfo(downloadItem));
+        if (!matched) return null;
+        await deleteUnmatched(downloadItem.id);
+        tabId = findTabByDownloadId(downloadItem.id);
+    }
+
+    const state = downloadState.get(tabId);
+    const path = buildDownloadPath(settings.filenameTemplate, settings.subfolderTemplate, getFilenameTokens(state));
+    if (path) {
+        console.log(`[Background] Rename: "${downloadItem.filename}" -> "${path}"`);
+        state.savedPath = path;
+    }
+    return path;
 }
 
+// マッチしたZIPをテンプレートでリネームする（ギャラリーIDを含めると以後のマッチも確実になる）
+chrome.downloads.onDeterminingFilename.addListener((downloadItem, suggest) => {
+    determineFilename(downloadItem)
+        .then(path => path ? suggest({ filename: path, conflictAction: 'uniquify' }) : suggest())
+        .catch(error => {
+            console.error('[Background] Failed to determine filename:', error);
+            suggest();
+        });
+    return true;
+});
+
 // ============================================
 // Chrome Downloads API
 // ============================================
 
 chrome.downloads.onCreated.addListener(async (downloadItem) => {
+    // この拡張機能自身が保存したファイル（サイドカーなど）はマッチング対象外
+    if (downloadItem.byExtensionId === chrome.runtime.id) return;
+
+    await sessionRestored;
     console.log('[Background] Download created:', downloadItem.id);
 
-    if (downloadItem.filename) {
-        const matched = await matchDownloadToTab(downloadItem.id, downloadItem.filename, downloadItem.url);
-        if (!matched) {
-            unmatchedDownloads.set(downloadItem.id, { filename: downloadItem.filename, url: downloadItem.url });
-        }
-    } else {
-        unmatchedDownloads.set(downloadItem.id, { filename: null, url: downloadItem.url });
+    // ファイル名が未確定でもURL・リファラで紐付けられることがある
+    const info = toDownloadInfo(downloadItem);
+    if (!(info.url && isHitomiUrl(info.url)) && !(info.referrer && isHitomiUrl(info.referrer))) return;
+
+    const matched = await matchDownloadToTab(downloadItem.id, info);
+    if (!matched) {
+        await setUnmatched(downloadItem.id, info);
     }
 });
 
 chrome.downloads.onChanged.addListener(async (delta) => {
+    await sessionRestored;
+
     if (delta.filename && delta.filename.current) {
         const info = unmatchedDownloads.get(delta.id);
         if (info && !info.filename) {
             console.log(`[Background] Filename ready: ${delta.id}: ${delta.filename.current}`);
             info.filename = delta.filename.current;
-            const matched = await matchDownloadToTab(delta.id, delta.filename.current, info.url);
+            const matched = await matchDownloadToTab(delta.id, info);
             if (matched) {
-                unmatchedDownloads.delete(delta.id);
+                await deleteUnmatched(delta.id);
+            } else {
+                await saveUnmatchedToStorage();
             }
         }
     }
@@ -351,43 +794,299 @@ chrome.downloads.onChanged.addListener(async (delta) => {
     if (delta.state) {
         for (const [tabId, state] of downloadState) {
             if (state.downloadId === delta.id) {
+                // キャンセル済み、またはワーカー起動時の reconcileSession で処理済みのものはそのまま
+                if (state.status !== 'in-progress') return;
                 if (delta.state.current === 'complete') {
                     console.log(`[Background] ✓ COMPLETE: ${delta.id} -> tab ${tabId}`);
-                    updateTabState(tabId, 'complete', '');
-                    monitoredTabs.delete(tabId);
-                    unmatchedDownloads.delete(delta.id);
-                    await saveStateToStorage();
+                    await deleteUnmatched(delta.id);
+                    await completeTabDownload(tabId, delta.id);
                 } else if (delta.state.current === 'interrupted') {
-                    console.log(`[Background] ✗ INTERRUPTED: ${delta.id} -> tab ${tabId}`);
-                    updateTabState(tabId, 'error', delta.error?.current || '中断');
-                    monitoredTabs.delete(tabId);
-                    unmatchedDownloads.delete(delta.id);
+                    const error = delta.error?.current || '中断';
+                    console.log(`[Background] ✗ INTERRUPTED: ${delta.id} -> tab ${tabId} (${error})`);
+                    await deleteUnmatched(delta.id);
+                    failTabDownload(tabId, error);
                     await saveStateToStorage();
                 }
                 return;
             }
         }
 
-        if (delta.state.current === 'complete') {
-            const info = unmatchedDownloads.get(delta.id);
-            if (info && info.filename) {
+        const info = unmatchedDownloads.get(delta.id);
+        if (info && (delta.state.current === 'complete' || delta.state.current === 'interrupted')) {
+            info.state = delta.state.current;
+            if (delta.state.current === 'complete' && info.filename) {
                 console.log(`[Background] Retry match for completed: ${delta.id}`);
-                const matched = await matchDownloadToTab(delta.id, info.filename, info.url);
+                const matched = await matchDownloadToTab(delta.id, info);
                 if (matched) {
-                    for (const [tabId, state] of downloadState) {
-                        if (state.downloadId === delta.id) {
-                            updateTabState(tabId, 'complete', '');
-                            monitoredTabs.delete(tabId);
-                            break;
-                        }
-                    }
+                    await deleteUnmatched(delta.id);
+                    await completeTabDownload(findTabByDownloadId(delta.id), delta.id);
+                    return;
                 }
-                unmatchedDownloads.delete(delta.id);
             }
+            // 紐付けられなかったものは診断パネルで手動割り当てできるよう残しておく
+            await saveUnmatchedToStorage();
         }
     }
 });
 
+function failTabDownload(tabId, error) {
+    monitoredTabs.delete(tabId);
+    // ユーザーが自分でキャンセルしたものは自動リトライしない
+    if (error === 'USER_CANCELED') {
+        releaseDirectDownload(tabId);
+        updateTabState(tabId, 'error', error);
+    } else {
+        handleDownloadFailure(tabId, error);
+    }
+}
+
+async function completeTabDownload(tabId, downloadId) {
+    if (settings.verifyZip) {
+        const check = await verifyDownload(tabId, downloadId);
+        releaseDirectDownload(tabId);
+        if (!check.ok) {
+            // 壊れたファイルは消さずに残し、再ダウンロードは別名（uniquify）で保存される
+            console.log(`[Background] ✗ CORRUPT: ${downloadId} -> tab ${tabId} (${check.reason})`);
+            handleDownloadFailure(tabId, check.reason, 'corrupt');
+            return;
+        }
+        downloadState.get(tabId).verified = check.checked;
+    }
+
+    const action = getCompletedTabAction(downloadState.get(tabId));
+    // スロットが空いた瞬間に別のタブで開かれないよう、使い回す場合は次のギャラリーを先に確保する
+    const nextGallery = action === 'recycle' ? galleryQueue.shift() : undefined;
+    if (nextGallery) reservedSlots++;
+
+    releaseDirectDownload(tabId);
+    clearDirectCheckpoints(tabId);
+    await sampleTransfer(tabId);
+    downloadState.get(tabId).completedAt = Date.now();
+    updateTabState(tabId, 'complete', '');
+    monitoredTabs.delete(tabId);
+    await saveStateToStorage();
+    await addToHistory(tabId, downloadId);
+    await writeSidecar(tabId, downloadId);
+
+    if (nextGallery) {
+        console.log(`[Background] Recycle tab ${tabId} -> gallery ${nextGallery.galleryId}`);
+        await startGalleryDownload(nextGallery, tabId);
+    } else if (action !== 'keep') {
+        console.log(`[Background] Close completed tab ${tabId}`);
+        chrome.tabs.remove(tabId).catch(() => { });
+    }
+}
+
+// サイズと、読めればZIPの終端レコード・エントリ数を確かめる
+// blob: URL はページ側で破棄されると読めないので、その場合はサイズだけで判定する
+async function verifyDownload(tabId, downloadId) {
+    const [item] = await chrome.downloads.search({ id: downloadId });
+    if (!item) return { ok: true, reason: null, checked: null };
+
+    let eocd;
+    if (/\.zip$/i.test(item.filename)) {
+        if (item.url.startsWith(`blob:${location.origin}/`)) {
+            // 直接ダウンロードで作ったZIPは拡張機能のものなのでここから読める
+            eocd = await readZipEocd(item.url);
+        } else if (item.url.startsWith('blob:')) {
+            try {
+                eocd = (await sendToContentScript(tabId, { type: 'VERIFY_ZIP', url: item.url }))?.eocd;
+            } catch (error) {
+                console.log(`[Background] Could not read ZIP from tab ${tabId}: ${error.message}`);
+            }
+        } else if (/^https?:/.test(item.url)) {
+            eocd = await readZipEocd(item.url);
+        }
+    }
+
+    return checkZipIntegrity({
+        fileSize: item.fileSize,
+        totalBytes: item.totalBytes,
+        eocd: eocd,
+        pageCount: downloadState.get(tabId)?.metadata?.pageCount
+    });
+}
+
+// 完了したタブの扱い: 'keep' | 'close' | 'recycle'
+// ユーザーが自分で開いたタブは、設定で許可されていない限り閉じない
+function getCompletedTabAction(state) {
+    if (state?.managed) return settings.managedTabAction;
+    return settings.closeUserTabs ? 'close' : 'keep';
+}
+
+// ============================================
+// Sidecar Export
+// ============================================
+
+// 完了したZIPと同じ場所・同じ名前でメタデータファイルを保存する
+async function writeSidecar(tabId, downloadId) {
+    await settingsLoaded;
+    if (settings.sidecarFormat === 'none') return;
+
+    const state = downloadState.get(tabId);
+    if (!state?.metadata) {
+        console.log(`[Background] Sidecar skipped: no metadata for tab ${tabId}`);
+        return;
+    }
+
+    try {
+        // 実際のファイル名は uniquify で " (1)" などが付いていることがあるので、保存後の名前を使う
+        // フォルダはリネーム時に指定した相対パスから取る（リネームしていなければ直下に保存されている）
+        const [item] = await chrome.downloads.search({ id: downloadId });
+        const basename = item?.filename?.split(/[\\\/]/).pop();
+        if (!basename) return;
+        const folder = state.savedPath?.includes('/') ? state.savedPath.slice(0, state.savedPath.lastIndexOf('/') + 1) : '';
+        const zipPath = folder + basename;
+
+        const { extension, mimeType, content } = buildSidecar(settings.sidecarFormat, state.metadata, state.url);
+        const filename = zipPath.replace(/\.zip$/i, '') + '.' + extension;
+
+        await chrome.downloads.download({
+            url: `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`,
+            filename: filename,
+            conflictAction: 'overwrite',
+            saveAs: false
+        });
+        console.log(`[Background] Sidecar saved: ${filename}`);
+    } catch (error) {
+        console.error(`[Background] Failed to save sidecar for tab ${tabId}:`, error);
+    }
+}
+
+// ============================================
+// Direct Download（ボタンを押さずに拡張機能内でZIPを作る）
+// ============================================
+
+// 画像の取得とZIPの組み立ては offscreen document で行う（offscreen/offscreen.js）
+const OFFSCREEN_DOCUMENT = 'offscreen/offscreen.html';
+// 画像サーバーはリファラの無いリクエストを拒否するので、タブ外（拡張機能）からの取得にだけ付ける
+const REFERER_RULE_ID = 1;
+
+let offscreenCreating = null;
+
+async function ensureOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length > 0) return;
+
+    if (!offscreenCreating) {
+        offscreenCreating = (async () => {
+            await chrome.declarativeNetRequest.updateSessionRules({
+                removeRuleIds: [REFERER_RULE_ID],
+                addRules: [{
+                    id: REFERER_RULE_ID,
+                    priority: 1,
+                    action: {
+                        type: 'modifyHeaders',
+                        requestHeaders: [{ header: 'Referer', operation: 'set', value: GALLERY_REFERER }]
+                    },
+                    condition: { requestDomains: [GALLERY_IMAGE_DOMAIN], tabIds: [chrome.tabs.TAB_ID_NONE] }
+                }]
+            });
+            await chrome.offscreen.createDocument({
+                url: OFFSCREEN_DOCUMENT,
+                reasons: ['BLOBS'],
+                justification: 'Build gallery ZIP archives from fetched images'
+            });
+        })().finally(() => { offscreenCreating = null; });
+    }
+    await offscreenCreating;
+}
+
+function sendToOffscreen(message) {
+    return chrome.runtime.sendMessage({ target: 'offscreen', ...message });
+}
+
+// downloadId は保存時に分かるので、ファイル名によるマッチングは使わない
+async function startDirectDownload(tabId) {
+    const state = downloadState.get(tabId);
+    if (!state.galleryId) throw new Error('ギャラリーIDが分かりません');
+
+    state.engine = 'direct';
+    state.progressSource = 'direct';
+    state.clickedAt = Date.now();
+    await ensureOffscreenDocument();
+    await sendToOffscreen({
+        type: 'DIRECT_FETCH',
+        tabId: tabId,
+        galleryId: state.galleryId,
+        concurrency: settings.directConcurrency,
+        retries: settings.directImageRetries
+    });
+
+    addToMonitoring(tabId);
+}
+
+function cancelDirectDownload(tabId) {
+    sendToOffscreen({ type: 'DIRECT_CANCEL', tabId: tabId }).catch(() => { });
+}
+
+// 保存が終われば offscreen 側のZIPは不要
+function releaseDirectDownload(tabId) {
+    const state = downloadState.get(tabId);
+    if (!state?.directUrl) return;
+    delete state.directUrl;
+    sendToOffscreen({ type: 'DIRECT_RELEASE', tabId: tabId }).catch(() => { });
+}
+
+// ZIPを保存できたら途中経過（取得済みの画像）は不要
+function clearDirectCheckpoints(tabId) {
+    const state = downloadState.get(tabId);
+    if (state?.engine !== 'direct' || !state.galleryId) return;
+    clearCheckpoints(state.galleryId).catch(error => {
+        console.error(`[Background] Failed to clear checkpoints for gallery ${state.galleryId}:`, error);
+    });
+}
+
+function applyDirectProgress(tabId, done, total, bytes) {
+    const state = downloadState.get(tabId);
+    if (!state || state.status !== 'in-progress' || state.engine !== 'direct' || state.downloadId) return;
+
+    // ページ数が多いと % が変わらないまま進むので、取得した枚数で停止を判定する
+    if (state.pages?.done !== done) state.lastProgressAt = Date.now();
+    state.pages = { done, total };
+    state.progress = total > 0 ? Math.floor(done * 100 / total) : 0;
+    state.hadProgressBar = true;
+    recordTransfer(state, bytes, null, true);
+
+    updateTabState(tabId, 'in-progress', done < total ? `${state.progress}% (${done}/${total}枚)` : 'ZIP作成中...');
+}
+
+async function saveDirectDownload(tabId, url) {
+    const state = downloadState.get(tabId);
+    if (!state || state.status !== 'in-progress' || state.engine !== 'direct' || state.downloadId) {
+        sendToOffscreen({ type: 'DIRECT_RELEASE', tabId: tabId }).catch(() => { });
+        return;
+    }
+
+    // ページ経由と違って元のファイル名が無いので、テンプレートが空ならサイトと同じくタイトルで保存する
+    const path = buildDownloadPath(settings.filenameTemplate || '{title}', settings.subfolderTemplate, getFilenameTokens(state)) ||
+        `${state.galleryId}.zip`;
+    state.savedPath = path;
+    state.directUrl = url;
+    updateTabState(tabId, 'in-progress', '保存中...');
+
+    try {
+        const downloadId = await chrome.downloads.download({
+            url: url,
+            filename: path,
+            conflictAction: 'uniquify',
+            saveAs: false
+        });
+        await bindDownloadToTab(tabId, downloadId, 'direct', null);
+    } catch (error) {
+        console.error(`[Background] Failed to save direct download for tab ${tabId}:`, error);
+        handleDownloadFailure(tabId, error.message);
+    }
+}
+
+function failDirectDownload(tabId, error) {
+    const state = downloadState.get(tabId);
+    if (!state || state.status !== 'in-progress' || state.engine !== 'direct' || state.downloadId) return;
+
+    console.log(`[Background] ✗ DIRECT FAILED: tab ${tabId} (${error})`);
+    handleDownloadFailure(tabId, error);
+}
+
 // ============================================
 // Message Handler
 // ============================================
@@ -395,7 +1094,7 @@ chrome.downloads.onChanged.addListener(async (delta) => {
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.type) {
         case 'START_DOWNLOADS':
-            handleStartDownloads(message.tabIds, message.delay)
+            handleStartDownloads(message.tabIds, message.duplicatePolicy, message.scope)
                 .then(() => sendResponse({ success: true }))
                 .catch(error => sendResponse({ success: false, error: error.message }));
             return true;
@@ -405,46 +1104,102 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             for (const [tabId, state] of downloadState) {
                 downloads[tabId] = state;
             }
-            sendResponse({ downloads });
+            sendResponse({
+                downloads,
+                pendingGalleries: galleryQueue.length,
+                batch: getBatchSummary(),
+                stats: getAllTabStats(),
+                batchStats: getBatchStats()
+            });
             return false;
 
-        case 'DOWNLOAD_CLICKED':
-            if (sender.tab) {
-                const state = downloadState.get(sender.tab.id) || {};
-                state.hadProgressBar = false;
-                downloadState.set(sender.tab.id, state);
-                updateTabState(sender.tab.id, 'in-progress', 'ボタンクリック完了');
-                addToMonitoring(sender.tab.id);
-            }
-            sendResponse({ success: true });
-            return false;
+        case 'QUEUE_GALLERIES':
+            handleQueueGalleries(message.galleries || [])
+                .then(result => sendResponse({ success: true, ...result }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'GET_SESSION':
+            sessionRestored.then(() => sendResponse({ entries: getSessionEntries() }));
+            return true;
+
+        case 'IMPORT_SESSION':
+            handleImportSession(message.entries || [])
+                .then(result => sendResponse({ success: true, ...result }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'GET_HISTORY':
+            historyLoaded.then(() => sendResponse({ history: downloadHistory, batches: batchHistory }));
+            return true;
+
+        case 'GET_UNMATCHED':
+            getUnmatchedList().then(unmatched => sendResponse({ unmatched }));
+            return true;
+
+        case 'ASSIGN_DOWNLOAD':
+            assignDownloadToTab(message.downloadId, message.tabId)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'DISMISS_UNMATCHED':
+            deleteUnmatched(message.downloadId)
+                .then(() => sendResponse({ success: true }));
+            return true;
 
         case 'DOWNLOAD_PROGRESS':
+        case 'DOWNLOAD_PHASE':
             if (sender.tab) {
-                const state = downloadState.get(sender.tab.id);
-                if (state) {
-                    state.progress = message.progress;
-                    state.hadProgressBar = true;
-                }
-                updateTabState(sender.tab.id, 'in-progress', `${message.progress}%`);
+                applyPageProgress(sender.tab.id, message.phase, message.progress);
             }
             sendResponse({ success: true });
             return false;
 
-        case 'DOWNLOAD_ERROR':
-            if (sender.tab) {
-                updateTabState(sender.tab.id, 'error', message.error);
-                monitoredTabs.delete(sender.tab.id);
+        case 'CONTENT_READY':
+            // ページが読み込み直されると進捗の監視も消えるので、次にクリックするまではポーリングする
+            if (sender.tab && downloadState.get(sender.tab.id)?.progressSource === 'push') {
+                downloadState.get(sender.tab.id).progressSource = 'poll';
             }
+            return false;
+
+        case 'DIRECT_PROGRESS':
+            applyDirectProgress(message.tabId, message.done, message.total, message.bytes);
+            sendResponse({ success: true });
+            return false;
+
+        case 'DIRECT_COMPLETE':
+            sessionRestored.then(() => saveDirectDownload(message.tabId, message.url));
+            sendResponse({ success: true });
+            return false;
+
+        case 'DIRECT_FAILED':
+            sessionRestored.then(() => failDirectDownload(message.tabId, message.error));
             sendResponse({ success: true });
             return false;
 
         case 'RETRY_DOWNLOADS':
-            handleRetryDownloads(message.tabIds, message.delay)
+            handleRetryDownloads(message.tabIds, message.scope)
                 .then(() => sendResponse({ success: true }))
                 .catch(error => sendResponse({ success: false, error: error.message }));
             return true;
 
+        case 'PAUSE_BATCH':
+            pauseBatch().then(() => sendResponse({ success: true }));
+            return true;
+
+        case 'RESUME_BATCH':
+            resumeBatch().then(() => sendResponse({ success: true }));
+            return true;
+
+        case 'CANCEL_BATCH':
+            cancelBatch().then(() => sendResponse({ success: true }));
+            return true;
+
+        case 'CANCEL_TAB':
+            cancelTab(message.tabId).then(() => sendResponse({ success: true }));
+            return true;
+
         case 'CLEAR_COMPLETED':
             for (const [tabId, state] of downloadState) {
                 if (state.status === 'complete') {
@@ -463,100 +1218,1128 @@ chrome.commands.onCommand.addListener(async (command) => {
     }
 });
 
+// ============================================
+// Download Queue
+// ============================================
+
+function countActiveDownloads() {
+    let count = reservedSlots;
+    for (const state of downloadState.values()) {
+        // リトライ待機中のタブはスロットを保持したままにする
+        if (state.status === 'in-progress' || state.status === 'retrying') count++;
+    }
+    return count;
+}
+
+// 空きスロットがある限りキューからタブを取り出して開始する
+async function processQueue() {
+    if (queueProcessing) return;
+    queueProcessing = true;
+
+    try {
+        // 開いているタブを優先し、無くなったら一覧ページから追加されたギャラリーを開く
+        while ((downloadQueue.length > 0 || galleryQueue.length > 0) &&
+            currentBatch?.state !== 'paused' &&
+            countActiveDownloads() < settings.maxConcurrent) {
+            const tabId = downloadQueue.shift();
+            const state = tabId !== undefined ? downloadState.get(tabId) : null;
+            if (tabId !== undefined && (!state || state.status !== 'queued')) continue;
+
+            // 手動再ダウンロードはリロードを伴うので、間隔は retryDelay を使う
+            const delay = state?.reloadBeforeStart ? settings.retryDelay : settings.startDelay;
+            const wait = lastQueueStartTime + delay - Date.now();
+            if (wait > 0) {
+                await sleep(wait);
+                // 待っている間に一時停止・キャンセルされることがある
+                if (currentBatch?.state === 'paused') {
+                    if (tabId !== undefined) downloadQueue.unshift(tabId);
+                    break;
+                }
+                if (tabId !== undefined ? downloadState.get(tabId)?.status !== 'queued' : galleryQueue.length === 0) continue;
+            }
+            lastQueueStartTime = Date.now();
+
+            if (tabId !== undefined && state.reloadBeforeStart) {
+                try {
+                    await reloadAndClick(tabId, 'ダウンロード開始...', null);
+                } catch (error) {
+                    if (!isCancelled(tabId)) updateTabState(tabId, 'error', error.message);
+                }
+            } else if (tabId !== undefined) {
+                await startTabDownload(tabId);
+            } else {
+                await startGalleryDownload(galleryQueue.shift());
+            }
+        }
+    } finally {
+        queueProcessing = false;
+    }
+}
+
+async function startTabDownload(tabId) {
+    try {
+        const tab = await chrome.tabs.get(tabId);
+        if (isCancelled(tabId)) return;
+        const state = downloadState.get(tabId);
+
+        state.status = 'in-progress';
+        state.details = '処理中...';
+        state.url = tab.url;
+        state.title = tab.title;
+        state.galleryId = extractGalleryId(tab.url);
+        state.startTime = Date.now();
+        state.metadata = await fetchGalleryMetadata(tabId);
+        if (isCancelled(tabId)) return;
+        downloadState.set(tabId, state);
+
+        // 一覧ページから開いたタブはここで初めてメタデータが読める
+        const exclusion = getFilterExclusion(tabId, state.metadata);
+        if (exclusion) {
+            await skipFilteredTab(tabId, exclusion);
+            return;
+        }
+
+        broadcastStatusUpdate(tabId, 'in-progress', '処理中...');
+        await saveStateToStorage();
+        if (isCancelled(tabId)) return;
+
+        console.log(`[Background] Starting: ${tabId} "${tab.title?.substring(0, 50)}" (gid: ${state.galleryId}, engine: ${settings.downloadEngine})`);
+
+        if (settings.downloadEngine === 'direct') {
+            await startDirectDownload(tabId);
+            return;
+        }
+
+        state.clickedAt = Date.now();
+        const result = await sendToContentScript(tabId, { type: 'CLICK_DOWNLOAD' });
+        if (isCancelled(tabId)) return;
+        if (result && !result.success) {
+            updateTabState(tabId, 'error', result.error);
+            return;
+        }
+        state.progressSource = result?.watching ? 'push' : 'poll';
+
+        addToMonitoring(tabId);
+    } catch (error) {
+        // キャンセルでタブが閉じられた場合はエラーにしない
+        if (isCancelled(tabId)) return;
+        console.error(`Error processing tab ${tabId}:`, error);
+        updateTabState(tabId, 'error', error.message);
+    }
+}
+
+// ============================================
+// Listing Page Queue（タブを開かずに一覧ページからキューに追加）
+// ============================================
+
+// 一覧ページから送られたギャラリーをキューに追加する
+async function handleQueueGalleries(galleries, scope = { type: 'listing' }) {
+    await sessionRestored;
+
+    const queued = [];
+    const skipped = [];
+
+    for (const gallery of galleries) {
+        const galleryId = gallery.galleryId || extractGalleryId(gallery.url);
+        if (!galleryId || !isContentPage(gallery.url, settings.contentPaths)) {
+            skipped.push({ galleryId, url: gallery.url, reason: '対象外のURL' });
+            continue;
+        }
+
+        const active = [...downloadState.values()].some(state =>
+            state.galleryId === galleryId && ['queued', 'in-progress', 'retrying'].includes(state.status)
+        );
+        if (active || galleryQueue.some(g => g.galleryId === galleryId)) {
+            skipped.push({ galleryId, url: gallery.url, reason: 'キュー登録済み' });
+            continue;
+        }
+        // 読み込んだバッチは別の環境での続きなので、取得済みのものは duplicatePolicy に関わらず除外する
+        if (downloadHistory[galleryId] && (settings.duplicatePolicy === 'skip' || scope.type === 'import')) {
+            skipped.push({ galleryId, url: gallery.url, reason: '取得済み' });
+            continue;
+        }
+
+        galleryQueue.push({ galleryId, url: gallery.url, title: gallery.title || '' });
+        queued.push(galleryId);
+    }
+
+    if (queued.length > 0) ensureBatch(scope);
+
+    await saveStateToStorage();
+    console.log(`[Background] Gallery queue: +${queued.length} (skipped ${skipped.length}, total ${galleryQueue.length})`);
+    broadcastQueueUpdate();
+
+    processQueue();
+    return { queued, skipped };
+}
+
+// 管理タブ（拡張機能が開いたタブ）でギャラリーを開き、通常のクリック・監視の流れに載せる
+// reuseTabId を渡すと新しいタブを開かずにそのタブを遷移させる（確保済みスロットを引き継ぐ）
+async function startGalleryDownload(gallery, reuseTabId = null) {
+    if (!gallery) return;
+    // 使い回す場合は呼び出し元が確保済み
+    if (reuseTabId === null) reservedSlots++;
+
+    let tab;
+    try {
+        tab = reuseTabId !== null
+            ? await chrome.tabs.update(reuseTabId, { url: gallery.url })
+            : await chrome.tabs.create({ url: gallery.url, active: false });
+    } catch (error) {
+        console.error(`[Background] Failed to open gallery ${gallery.galleryId}:`, error);
+        reservedSlots--;
+        if (reuseTabId !== null) {
+            // 使い回すはずのタブが閉じられていたら、ギャラリーはキューに戻して新しいタブで開く
+            galleryQueue.unshift(gallery);
+            processQueue();
+        }
+        return;
+    }
+
+    reservedSlots--;
+    addTabToBatch(tab.id);
+    downloadState.set(tab.id, {
+        status: 'in-progress',
+        downloadId: null,
+        details: 'ページ読み込み中...',
+        progress: 0,
+        url: gallery.url,
+        title: gallery.title,
+        galleryId: gallery.galleryId,
+        hadProgressBar: false,
+        startTime: Date.now(),
+        managed: true
+    });
+    broadcastStatusUpdate(tab.id, 'in-progress', 'ページ読み込み中...');
+    broadcastQueueUpdate();
+    await saveStateToStorage();
+
+    try {
+        await waitForTabLoad(tab.id, gallery.galleryId);
+        // ダウンロードボタンはページのスクリプトが描画するので少し待つ
+        await sleep(settings.reloadWait);
+    } catch (error) {
+        if (!isCancelled(tab.id)) updateTabState(tab.id, 'error', error.message);
+        return;
+    }
+    if (isCancelled(tab.id)) return;
+
+    await startTabDownload(tab.id);
+}
+
+// 指定したギャラリーのページが読み込み終わるまで待つ（使い回したタブで前のページに反応しないようIDも見る）
+function waitForTabLoad(tabId, galleryId, timeout = 60000) {
+    const isLoaded = tab => tab.status === 'complete' && extractGalleryId(tab.url) === galleryId;
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error('ページの読み込みがタイムアウトしました'));
+        }, timeout);
+
+        const onUpdated = (updatedTabId, changeInfo, tab) => {
+            if (updatedTabId === tabId && changeInfo.status === 'complete' && isLoaded(tab)) {
+                cleanup();
+                resolve();
+            }
+        };
+        const onRemoved = (removedTabId) => {
+            if (removedTabId === tabId) {
+                cleanup();
+                reject(new Error('タブが閉じられました'));
+            }
+        };
+        const cleanup = () => {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(onUpdated);
+            chrome.tabs.onRemoved.removeListener(onRemoved);
+        };
+
+        chrome.tabs.onUpdated.addListener(onUpdated);
+        chrome.tabs.onRemoved.addListener(onRemoved);
+
+        // リスナー登録前に読み込みが終わっていた場合
+        chrome.tabs.get(tabId).then(tab => {
+            if (isLoaded(tab)) {
+                cleanup();
+                resolve();
+            }
+        }).catch(() => { });
+    });
+}
+
+function broadcastQueueUpdate() {
+    chrome.runtime.sendMessage({ type: 'QUEUE_UPDATE', pendingGalleries: galleryQueue.length }).catch(() => { });
+    updateBadge();
+}
+
+function removeFromQueue(tabId) {
+    const index = downloadQueue.indexOf(tabId);
+    if (index !== -1) downloadQueue.splice(index, 1);
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    removeFromQueue(tabId);
+    monitoredTabs.delete(tabId);
+
+    const state = downloadState.get(tabId);
+    if (!state) return;
+
+    // ZIPはページ内で生成されるため、ダウンロード確定前に閉じられたら失敗扱い
+    if (state.status === 'queued' || state.status === 'retrying' || state.status === 'stalled' ||
+        (state.status === 'in-progress' && !state.downloadId)) {
+        if (state.engine === 'direct') cancelDirectDownload(tabId);
+        updateTabState(tabId, 'error', 'タブが閉じられました');
+    }
+});
+
+// ============================================
+// Session Export / Import（別の環境へバッチを引き継ぐ）
+// ============================================
+
+// タブの状態と、まだ開いていないギャラリーを書き出し用の一覧にする
+// 使い回したタブで先に終わったギャラリーはバッチの結果から加える
+function getSessionEntries() {
+    const entries = [];
+    for (const state of [...downloadState.values(), ...getArchivedBatchResults()]) {
+        if (!state.url) continue;
+        entries.push({
+            galleryId: state.galleryId || extractGalleryId(state.url),
+            url: state.url,
+            title: state.title ? cleanTitle(state.title) : '',
+            status: state.status,
+            error: ['error', 'stalled', 'corrupt', 'skipped', 'cancelled'].includes(state.status) ? (state.details || '') : ''
+        });
+    }
+    for (const gallery of galleryQueue) {
+        entries.push({ galleryId: gallery.galleryId, url: gallery.url, title: gallery.title, status: 'queued', error: '' });
+    }
+    return entries;
+}
+
+// 完了済みのもの以外を一覧ページと同じ流れ（管理タブで開いてダウンロード）でキューに入れる
+async function handleImportSession(entries) {
+    const skipped = [];
+    const galleries = [];
+
+    for (const entry of entries) {
+        if (entry.status === 'complete') {
+            skipped.push({ galleryId: entry.galleryId, url: entry.url, reason: '書き出し時点で完了済み' });
+        } else {
+            galleries.push({ galleryId: entry.galleryId, url: entry.url, title: entry.title });
+        }
+    }
+
+    const result = await handleQueueGalleries(galleries, { type: 'import' });
+    return { queued: result.queued, skipped: [...skipped, ...result.skipped] };
+}
+
 // ============================================
 // Download Handlers
 // ============================================
 
 async function startDownloadsFromShortcut() {
-    const tabs = await chrome.tabs.query({ currentWindow: true, url: '*://hitomi.la/*' });
-    const contentTabs = tabs.filter(tab =>
-        tab.url && (tab.url.includes('/doujinshi/') || tab.url.includes('/manga/') ||
-            tab.url.includes('/gamecg/') || tab.url.includes('/cg/') ||
-            tab.url.includes('/anime/') || tab.url.includes('/imageset/'))
-    );
+    await settingsLoaded;
+    const scope = { type: settings.shortcutScope };
+    const contentTabs = await queryTargetTabs(scope, settings.contentPaths);
     if (contentTabs.length > 0) {
-        await handleStartDownloads(contentTabs.map(t => t.id), 1000);
+        await handleStartDownloads(contentTabs.map(t => t.id), null, scope);
     }
 }
 
-async function handleStartDownloads(tabIds, delay = 1000) {
-    for (let i = 0; i < tabIds.length; i++) {
-        const tabId = tabIds[i];
+async function handleStartDownloads(tabIds, duplicatePolicy, scope = null) {
+    await sessionRestored;
+
+    duplicatePolicy = duplicatePolicy || settings.duplicatePolicy;
+
+    for (const tabId of tabIds) {
+        // 実行中・キュー待機中のタブはそのまま（行ごとの開始ボタンの二重押しなど）
+        if (ACTIVE_STATUSES.includes(downloadState.get(tabId)?.status)) continue;
+
         try {
             const tab = await chrome.tabs.get(tabId);
             const galleryId = extractGalleryId(tab.url);
+            const previous = galleryId ? downloadHistory[galleryId] : null;
 
-            downloadState.set(tabId, {
-                status: 'in-progress',
+            const state = {
+                status: 'queued',
                 downloadId: null,
-                details: '処理中...',
+                details: 'キュー待機中',
                 progress: 0,
                 url: tab.url,
                 title: tab.title,
                 galleryId: galleryId,
                 hadProgressBar: false,
-                startTime: Date.now()
-            });
-
-            broadcastStatusUpdate(tabId, 'in-progress', '処理中...');
-            await saveStateToStorage();
-
-            console.log(`[Background] Starting: ${tabId} "${tab.title?.substring(0, 50)}" (gid: ${galleryId})`);
+                startTime: null,
+                alreadyDownloaded: !!previous
+            };
+
+            if (previous && duplicatePolicy === 'skip') {
+                console.log(`[Background] Skip: ${tabId} already downloaded (gid: ${galleryId})`);
+                state.status = 'skipped';
+                state.details = '取得済みのためスキップ';
+                downloadState.set(tabId, state);
+                // バッチ完了の通知・履歴でスキップ件数に数える
+                addTabToBatch(tabId, scope);
+                broadcastStatusUpdate(tabId, state.status, state.details);
+                continue;
+            }
 
-            await chrome.scripting.executeScript({
-                target: { tabId: tabId },
-                func: clickDownloadButton
-            });
+            // キューに入れる前にルールで除外する（タブを開いているのでメタデータはすぐ読める）
+            if (settings.filterRules.length > 0) {
+                state.metadata = await fetchGalleryMetadata(tabId);
+                const exclusion = getFilterExclusion(tabId, state.metadata);
+                if (exclusion) {
+                    state.status = 'skipped';
+                    state.details = exclusion.reason;
+                    downloadState.set(tabId, state);
+                    addTabToBatch(tabId, scope);
+                    broadcastStatusUpdate(tabId, state.status, state.details);
+                    continue;
+                }
+            }
 
-            addToMonitoring(tabId);
+            if (previous) {
+                console.warn(`[Background] Duplicate: ${tabId} already downloaded (gid: ${galleryId})`);
+                state.details = 'キュー待機中 (取得済み)';
+            }
 
-            if (i < tabIds.length - 1) await sleep(delay);
+            downloadState.set(tabId, state);
+            if (!downloadQueue.includes(tabId)) downloadQueue.push(tabId);
+            addTabToBatch(tabId, scope);
+            broadcastStatusUpdate(tabId, state.status, state.details);
         } catch (error) {
-            console.error(`Error processing tab ${tabId}:`, error);
+            console.error(`Error queueing tab ${tabId}:`, error);
             updateTabState(tabId, 'error', error.message);
         }
     }
+
+    await saveStateToStorage();
+    console.log(`[Background] Queued ${downloadQueue.length} tabs (max concurrent: ${settings.maxConcurrent})`);
+
+    // すべてスキップした場合はここでバッチを終える
+    checkBatchFinished();
+    await processQueue();
+}
+
+// 手動再ダウンロードも同時実行数を守るため、キューに戻して processQueue でリロードさせる
+async function handleRetryDownloads(tabIds, scope = null) {
+    await sessionRestored;
+
+    for (const tabId of tabIds) {
+        const previous = downloadState.get(tabId);
+        removeFromQueue(tabId);
+        monitoredTabs.delete(tabId);
+        chrome.alarms.clear(RETRY_ALARM_PREFIX + tabId);
+        if (previous?.engine === 'direct' && previous.status === 'in-progress' && !previous.downloadId) {
+            cancelDirectDownload(tabId);
+        }
+
+        downloadState.set(tabId, {
+            ...previous,
+            status: 'queued',
+            downloadId: null,
+            details: 'キュー待機中 (再ダウンロード)',
+            progress: 0,
+            retry: null,
+            reloadBeforeStart: true
+        });
+        downloadQueue.push(tabId);
+        addTabToBatch(tabId, scope);
+        broadcastStatusUpdate(tabId, 'queued', 'キュー待機中 (再ダウンロード)');
+    }
+
+    await saveStateToStorage();
+    await processQueue();
 }
 
-async function handleRetryDownloads(tabIds, delay = 2000) {
-    for (let i = 0; i < tabIds.length; i++) {
-        const tabId = tabIds[i];
+// タブをリロードしてダウンロードボタンを押し直す（手動・自動リトライ共通）
+// 直接ダウンロードはページを使わないので、リロードせずに取得からやり直す
+async function reloadAndClick(tabId, details, retry) {
+    // 状態は作り直すが、拡張機能が開いたタブか・取得済みかはそのまま引き継ぐ
+    const previous = downloadState.get(tabId);
+    const direct = settings.downloadEngine === 'direct';
+    if (!direct) {
+        await chrome.tabs.reload(tabId);
+        await sleep(settings.reloadWait);
+        if (isCancelled(tabId)) return;
+    }
+
+    const tab = await chrome.tabs.get(tabId);
+    const galleryId = extractGalleryId(tab.url);
+    const metadata = await fetchGalleryMetadata(tabId);
+    if (isCancelled(tabId)) return;
+
+    downloadState.set(tabId, {
+        status: 'in-progress',
+        downloadId: null,
+        details: details,
+        progress: 0,
+        url: tab.url,
+        title: tab.title,
+        galleryId: galleryId,
+        hadProgressBar: false,
+        startTime: Date.now(),
+        metadata: metadata,
+        retry: retry,
+        managed: !!previous?.managed,
+        alreadyDownloaded: !!previous?.alreadyDownloaded
+    });
+
+    broadcastStatusUpdate(tabId, 'in-progress', details);
+    await saveStateToStorage();
+    if (isCancelled(tabId)) return;
+
+    if (direct) {
+        await startDirectDownload(tabId);
+        return;
+    }
+
+    downloadState.get(tabId).clickedAt = Date.now();
+    const result = await sendToContentScript(tabId, { type: 'CLICK_DOWNLOAD' });
+    if (isCancelled(tabId)) return;
+    if (result && !result.success) {
+        throw new Error(result.error);
+    }
+    downloadState.get(tabId).progressSource = result?.watching ? 'push' : 'poll';
+
+    addToMonitoring(tabId);
+}
+
+// ============================================
+// Retry Policy
+// ============================================
+
+// 指数バックオフ: 既定では 5秒, 10秒, 20秒... (上限60秒)
+function getRetryDelay(attempt) {
+    return Math.min(settings.retryBaseDelay * 2 ** (attempt - 1), settings.retryMaxDelay);
+}
+
+// 失敗を履歴に記録し、上限に達していなければバックオフ後に自動リトライ
+// 上限に達した場合は finalStatus (error / stalled) で確定する
+function handleDownloadFailure(tabId, error, finalStatus = 'error') {
+    const state = downloadState.get(tabId);
+    if (!state) return;
+
+    monitoredTabs.delete(tabId);
+    // 保存に失敗したZIPは使わない（リトライでは取得済みの画像から作り直す）
+    releaseDirectDownload(tabId);
+
+    const retry = state.retry || { attempt: 0, maxAttempts: settings.retryMaxAttempts, history: [] };
+    retry.history.push({ time: Date.now(), error: error });
+    state.retry = retry;
+
+    if (retry.attempt >= retry.maxAttempts) {
+        console.log(`[Background] ✗ Retry limit reached: tab ${tabId} (${error})`);
+        updateTabState(tabId, finalStatus, error);
+        return;
+    }
+
+    retry.attempt++;
+    const delay = getRetryDelay(retry.attempt);
+    retry.nextAttemptAt = Date.now() + delay;
+
+    console.log(`[Background] Retry ${retry.attempt}/${retry.maxAttempts} for tab ${tabId} in ${delay}ms (${error})`);
+    updateTabState(tabId, 'retrying', `${Math.round(delay / 1000)}秒後に再試行: ${error}`);
+    saveStateToStorage();
+
+    scheduleRetry(tabId, retry.nextAttemptAt);
+}
+
+const RETRY_ALARM_PREFIX = 'retry:';
+
+// ワーカーが停止しても失われないようアラームでも予約する（アラームは最短30秒なので短い待機は setTimeout が先に動く）
+function scheduleRetry(tabId, when) {
+    chrome.alarms.create(RETRY_ALARM_PREFIX + tabId, { when: when });
+    setTimeout(() => runScheduledRetry(tabId), Math.max(when - Date.now(), 0));
+}
+
+async function runScheduledRetry(tabId) {
+    const state = downloadState.get(tabId);
+    // 待機中に手動リトライ・タブクローズなどで状態が変わっていたら何もしない
+    if (!state || state.status !== 'retrying') return;
+
+    // setTimeout とアラームの二重実行を防ぐ
+    chrome.alarms.clear(RETRY_ALARM_PREFIX + tabId);
+    updateTabState(tabId, 'in-progress', 'リロード中...');
+
+    try {
+        await reloadAndClick(tabId, `再試行中 (${state.retry.attempt}/${state.retry.maxAttempts})`, state.retry);
+    } catch (error) {
+        if (!isCancelled(tabId)) handleDownloadFailure(tabId, error.message);
+    }
+}
+
+// ============================================
+// Session Recovery（サービスワーカー再起動時の復元）
+// ============================================
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    await sessionRestored;
+
+    if (alarm.name === POLL_ALARM) {
+        startProgressPolling();
+        await pollMonitoredTabs();
+    } else if (alarm.name.startsWith(RETRY_ALARM_PREFIX)) {
+        await runScheduledRetry(parseInt(alarm.name.slice(RETRY_ALARM_PREFIX.length), 10));
+    }
+});
+
+async function tabExists(tabId) {
+    try {
+        await chrome.tabs.get(tabId);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// 保存された進行中のタブを、実在するタブ・chrome.downloads の状態と突き合わせる
+async function reconcileSession() {
+    const unbound = [];
+
+    for (const [tabId, state] of downloadState) {
+        if (!ACTIVE_STATUSES.includes(state.status)) continue;
+
+        // バックオフ中（retrying）のものには失敗した前回の downloadId が残っているので、ここでは再予約だけする
+        if (state.downloadId && state.status !== 'retrying') {
+            const [item] = await chrome.downloads.search({ id: state.downloadId });
+            if (item?.state === 'complete') {
+                console.log(`[Background] Recovered complete: ${state.downloadId} -> tab ${tabId}`);
+                await completeTabDownload(tabId, state.downloadId);
+            } else if (!item) {
+                releaseDirectDownload(tabId);
+                updateTabState(tabId, 'error', 'ダウンロードが見つかりません');
+            } else if (item.state === 'interrupted') {
+                if (await tabExists(tabId)) {
+                    failTabDownload(tabId, item.error || '中断');
+                } else {
+                    releaseDirectDownload(tabId);
+                    updateTabState(tabId, 'error', item.error || '中断');
+                }
+            }
+            // in_progress なら onChanged を待つ
+            continue;
+        }
+
+        if (!(await tabExists(tabId))) {
+            removeFromQueue(tabId);
+            monitoredTabs.delete(tabId);
+            updateTabState(tabId, 'error', 'タブが閉じられました');
+            continue;
+        }
+
+        if (state.status === 'queued') {
+            if (!downloadQueue.includes(tabId)) downloadQueue.push(tabId);
+        } else if (state.status === 'retrying') {
+            const alarm = await chrome.alarms.get(RETRY_ALARM_PREFIX + tabId);
+            if (!alarm) scheduleRetry(tabId, Math.max(state.retry?.nextAttemptAt || 0, Date.now()));
+        } else {
+            unbound.push(tabId);
+        }
+    }
+
+    // ワーカー停止中に作成されたダウンロードを紐付け直す
+    if (unbound.length > 0) {
+        const since = Math.min(...unbound.map(tabId => downloadState.get(tabId).clickedAt || Date.now()));
+        const items = await chrome.downloads.search({ startedAfter: new Date(since).toISOString() });
+
+        for (const item of items) {
+            if (item.byExtensionId === chrome.runtime.id) continue;
+            if (findTabByDownloadId(item.id) !== null) continue;
+
+            const info = toDownloadInfo(item);
+            if (!(await matchDownloadToTab(item.id, info))) continue;
+
+            await deleteUnmatched(item.id);
+            const tabId = findTabByDownloadId(item.id);
+            if (item.state === 'complete') {
+                await completeTabDownload(tabId, item.id);
+            } else if (item.state === 'interrupted') {
+                failTabDownload(tabId, item.error || '中断');
+            }
+        }
+
+        for (const tabId of unbound) {
+            const state = downloadState.get(tabId);
+            if (state.status === 'in-progress' && !state.downloadId) addToMonitoring(tabId);
+        }
+    }
+
+    if (monitoredTabs.size > 0) startProgressPolling();
+    await saveStateToStorage();
+    console.log(`[Background] Session reconciled (monitoring: ${monitoredTabs.size}, queued: ${downloadQueue.length})`);
+    processQueue();
+}
+
+async function restoreSession() {
+    await Promise.all([stateLoaded, unmatchedLoaded, settingsLoaded, historyLoaded]);
+    try {
+        await reconcileSession();
+    } catch (error) {
+        console.error('[Background] Failed to reconcile session:', error);
+    }
+}
+
+const sessionRestored = restoreSession();
+
+// ============================================
+// Gallery Filters
+// ============================================
+
+function getFilterExclusion(tabId, metadata) {
+    if (settings.filterRules.length === 0) return null;
+    if (!metadata) {
+        // メタデータが読めなければ判定できないのでダウンロードする
+        console.warn(`[Background] Filter skipped for tab ${tabId}: no metadata`);
+        return null;
+    }
+
+    const exclusion = evaluateFilterRules(settings.filterRules, metadata);
+    if (exclusion) {
+        console.log(`[Background] Filtered: ${tabId} (gid: ${metadata.id}) - ${exclusion.reason}`);
+    }
+    return exclusion;
+}
+
+async function skipFilteredTab(tabId, exclusion) {
+    const state = downloadState.get(tabId);
+    updateTabState(tabId, 'skipped', exclusion.reason);
+
+    // 拡張機能が開いたタブは残しておいても仕方がないので閉じる
+    if (state?.managed && settings.managedTabAction !== 'keep') {
         try {
-            await chrome.tabs.reload(tabId);
-            await sleep(3000);
+            await chrome.tabs.remove(tabId);
+        } catch (error) { }
+    }
+}
 
-            const tab = await chrome.tabs.get(tabId);
-            const galleryId = extractGalleryId(tab.url);
+// ============================================
+// Batch Control（一時停止・再開・キャンセル）
+// ============================================
 
-            downloadState.set(tabId, {
-                status: 'in-progress',
-                downloadId: null,
-                details: 'ダウンロード開始...',
-                progress: 0,
-                url: tab.url,
-                title: tab.title,
-                galleryId: galleryId,
-                hadProgressBar: false,
-                startTime: Date.now()
-            });
+const TERMINAL_STATUSES = ['complete', 'error', 'stalled', 'corrupt', 'cancelled', 'skipped'];
+const ACTIVE_STATUSES = ['queued', 'in-progress', 'retrying'];
+
+// 実行中・一時停止中のバッチが無ければ新しく作る（scope は作成時の対象範囲として記録）
+function ensureBatch(scope = null) {
+    if (!currentBatch || currentBatch.state === 'finished' || currentBatch.state === 'cancelled') {
+        currentBatch = {
+            id: Date.now(),
+            state: 'running',
+            createdAt: Date.now(),
+            finishedAt: null,
+            scope: scope,
+            tabIds: []
+        };
+        console.log(`[Background] Batch ${currentBatch.id} started (${getScopeLabel(scope) || 'scope unknown'})`);
+        broadcastBatchUpdate();
+    }
+    return currentBatch;
+}
 
-            broadcastStatusUpdate(tabId, 'in-progress', 'ダウンロード開始...');
-            await saveStateToStorage();
+function addTabToBatch(tabId, scope = null) {
+    const batch = ensureBatch(scope);
+    if (!batch.tabIds.includes(tabId)) batch.tabIds.push(tabId);
+}
 
-            await chrome.scripting.executeScript({
-                target: { tabId: tabId },
-                func: clickDownloadButton
-            });
+// 管理タブを使い回すと downloadState が次のギャラリーで上書きされるので、終わったギャラリーの結果はバッチに残す
+// キーはタブとギャラリーの組（同じギャラリーのリトライは上書きし、別のギャラリーは別の結果にする）
+function getBatchResultKey(tabId, state) {
+    return `${tabId}:${state.galleryId || state.url || ''}`;
+}
+
+function recordBatchResult(tabId) {
+    const state = downloadState.get(tabId);
+    if (!state || !currentBatch?.tabIds.includes(tabId)) return;
+
+    if (!currentBatch.results) currentBatch.results = {};
+    const stats = getTabStats(state);
+    currentBatch.results[getBatchResultKey(tabId, state)] = {
+        tabId: tabId,
+        galleryId: state.galleryId || null,
+        url: state.url || '',
+        title: state.title || '',
+        status: state.status,
+        details: state.details || '',
+        fraction: stats.fraction,
+        bytesReceived: stats.bytesReceived
+    };
+}
+
+// 今のタブの状態には残っていない（使い回し・完了のクリアで消えた）ギャラリーの結果
+function getArchivedBatchResults() {
+    return Object.entries(currentBatch?.results || {})
+        .filter(([key, result]) => {
+            const state = downloadState.get(result.tabId);
+            return !state || getBatchResultKey(result.tabId, state) !== key;
+        })
+        .map(([, result]) => result);
+}
 
-            addToMonitoring(tabId);
+function checkBatchFinished() {
+    if (!currentBatch || currentBatch.state !== 'running') return;
+    if (downloadQueue.length > 0 || galleryQueue.length > 0 || reservedSlots > 0) return;
+    const active = currentBatch.tabIds.some(tabId => ACTIVE_STATUSES.includes(downloadState.get(tabId)?.status));
+    if (active) return;
+
+    currentBatch.state = 'finished';
+    currentBatch.finishedAt = Date.now();
+    console.log(`[Background] Batch ${currentBatch.id} finished`);
+    broadcastBatchUpdate();
+    broadcastStats();
+    addBatchToHistory();
+    notifyBatchComplete();
+}
+
+// 一時停止中は新しいタブを開始しない（既に始まっているZIP生成はページ側で進むので止めない）
+async function pauseBatch() {
+    if (currentBatch?.state !== 'running') return;
+    currentBatch.state = 'paused';
+    console.log(`[Background] Batch ${currentBatch.id} paused`);
+    broadcastBatchUpdate();
+    await saveStateToStorage();
+}
+
+async function resumeBatch() {
+    if (currentBatch?.state !== 'paused') return;
+    currentBatch.state = 'running';
+    console.log(`[Background] Batch ${currentBatch.id} resumed`);
+    broadcastBatchUpdate();
+    await saveStateToStorage();
+    processQueue();
+    checkBatchFinished();
+}
 
-            if (i < tabIds.length - 1) await sleep(delay);
+async function cancelBatch() {
+    if (!currentBatch || currentBatch.state === 'finished' || currentBatch.state === 'cancelled') return;
+    // 先に状態を変えて、キャンセル中に次のタブが始まらないようにする
+    currentBatch.state = 'cancelled';
+    currentBatch.finishedAt = Date.now();
+    galleryQueue = [];
+    downloadQueue = [];
+    broadcastQueueUpdate();
+
+    for (const tabId of currentBatch.tabIds) {
+        if (ACTIVE_STATUSES.includes(downloadState.get(tabId)?.status)) {
+            await cancelTab(tabId);
+        }
+    }
+
+    console.log(`[Background] Batch ${currentBatch.id} cancelled`);
+    broadcastBatchUpdate();
+    broadcastStats();
+    await addBatchToHistory();
+    await saveStateToStorage();
+}
+
+// キャンセルは開始処理の await の間にも起こるので、再開するたびにこれで確かめる
+function isCancelled(tabId) {
+    return downloadState.get(tabId)?.status === 'cancelled';
+}
+
+async function cancelTab(tabId) {
+    const state = downloadState.get(tabId);
+    if (!state || !ACTIVE_STATUSES.includes(state.status)) return;
+
+    const wasBuilding = state.status === 'in-progress' && !state.downloadId;
+
+    removeFromQueue(tabId);
+    monitoredTabs.delete(tabId);
+    chrome.alarms.clear(RETRY_ALARM_PREFIX + tabId);
+    releaseDirectDownload(tabId);
+    updateTabState(tabId, 'cancelled', 'キャンセル');
+
+    if (state.downloadId) {
+        try {
+            await chrome.downloads.cancel(state.downloadId);
         } catch (error) {
-            updateTabState(tabId, 'error', error.message);
+            console.error(`[Background] Failed to cancel download ${state.downloadId}:`, error);
         }
+    } else if (wasBuilding && state.engine === 'direct') {
+        cancelDirectDownload(tabId);
+    } else if (wasBuilding) {
+        // ZIPはページ内で生成されるので、止めるにはページを閉じるか読み込み直すしかない
+        try {
+            if (state.managed) {
+                await chrome.tabs.remove(tabId);
+            } else {
+                await chrome.tabs.reload(tabId);
+            }
+        } catch (error) { }
     }
+
+    console.log(`[Background] Cancelled tab ${tabId}`);
+}
+
+function getBatchSummary() {
+    if (!currentBatch) return null;
+    return {
+        id: currentBatch.id,
+        state: currentBatch.state,
+        createdAt: currentBatch.createdAt,
+        finishedAt: currentBatch.finishedAt,
+        scope: currentBatch.scope,
+        total: currentBatch.tabIds.length + getArchivedBatchResults().length + galleryQueue.length
+    };
 }
 
+function broadcastBatchUpdate() {
+    chrome.runtime.sendMessage({ type: 'BATCH_UPDATE', batch: getBatchSummary() }).catch(() => { });
+    updateBadge();
+}
+
+// ============================================
+// Transfer Stats（転送量・速度・残り時間）
+// ============================================
+
+// 速度の平滑化係数（新しいサンプルの重み）
+const SPEED_SMOOTHING = 0.3;
+
+// chrome.downloads の bytesReceived / totalBytes を取り込み、前回との差から速度を求める
+async function sampleTransfer(tabId) {
+    const state = downloadState.get(tabId);
+    if (!state?.downloadId) return;
+
+    let item;
+    try {
+        [item] = await chrome.downloads.search({ id: state.downloadId });
+    } catch (error) {
+        return;
+    }
+    if (!item) return;
+
+    recordTransfer(state, item.bytesReceived, item.totalBytes > 0 ? item.totalBytes : null, item.state === 'in_progress');
+}
+
+// 直接ダウンロードでは保存前の画像の取得量もここに記録する
+function recordTransfer(state, bytesReceived, totalBytes, active) {
+    const now = Date.now();
+    const previous = state.transfer;
+    let speed = previous?.speed || 0;
+    if (previous && now > previous.sampledAt) {
+        const instant = (bytesReceived - previous.bytesReceived) * 1000 / (now - previous.sampledAt);
+        speed = previous.speed ? speed + (instant - speed) * SPEED_SMOOTHING : instant;
+    }
+
+    state.transfer = {
+        bytesReceived: bytesReceived,
+        totalBytes: totalBytes,
+        speed: active ? Math.max(0, speed) : 0,
+        sampledAt: now
+    };
+}
+
+/**
+ * タブごとの統計
+ * ZIPの保存が始まるまではページの進捗 (%)、始まったら転送バイト数で進み具合を見る
+ */
+function getTabStats(state) {
+    const end = state.completedAt || Date.now();
+    const elapsed = state.startTime ? end - state.startTime : null;
+    const transfer = state.transfer;
+
+    let fraction;
+    if (state.status === 'complete') {
+        fraction = 1;
+    } else if (transfer?.totalBytes) {
+        fraction = transfer.bytesReceived / transfer.totalBytes;
+    } else {
+        // ZIP生成が100%でも保存が終わるまでは完了扱いにしない
+        fraction = Math.min((state.progress || 0) / 100, 0.99);
+    }
+
+    let eta = null;
+    if (state.status === 'in-progress') {
+        if (transfer?.totalBytes && transfer.speed > 0) {
+            eta = (transfer.totalBytes - transfer.bytesReceived) * 1000 / transfer.speed;
+        } else if (elapsed && fraction > 0) {
+            eta = elapsed * (1 - fraction) / fraction;
+        }
+    }
+
+    return {
+        fraction,
+        elapsed,
+        eta: eta !== null ? Math.round(eta) : null,
+        bytesReceived: transfer?.bytesReceived ?? null,
+        totalBytes: transfer?.totalBytes ?? null,
+        speed: state.status === 'in-progress' ? (transfer?.speed || 0) : 0,
+        pages: state.pages || null
+    };
+}
+
+function getAllTabStats() {
+    const stats = {};
+    for (const [tabId, state] of downloadState) {
+        stats[tabId] = getTabStats(state);
+    }
+    return stats;
+}
+
+// バッチ全体: スキップ・キャンセルしたタブを除き、まだ開いていないギャラリーは 0% として数える
+function getBatchStats() {
+    if (!currentBatch) return null;
+
+    const counts = { complete: 0, error: 0, skipped: 0, cancelled: 0, active: 0 };
+    let fractionSum = 0;
+    let items = 0;
+    let bytesReceived = 0;
+    let speed = 0;
+
+    const results = [
+        ...currentBatch.tabIds
+            .map(tabId => downloadState.get(tabId))
+            .filter(Boolean)
+            .map(state => ({ status: state.status, ...getTabStats(state) })),
+        ...getArchivedBatchResults()
+    ];
+
+    for (const result of results) {
+        if (result.status === 'skipped' || result.status === 'cancelled') {
+            counts[result.status]++;
+            continue;
+        }
+        if (result.status === 'complete') counts.complete++;
+        else if (['error', 'stalled', 'corrupt'].includes(result.status)) counts.error++;
+        else counts.active++;
+
+        fractionSum += result.fraction;
+        bytesReceived += result.bytesReceived || 0;
+        speed += result.speed || 0;
+        items++;
+    }
+
+    const pending = currentBatch.state === 'cancelled' ? 0 : galleryQueue.length;
+    items += pending;
+    counts.active += pending;
+
+    const fraction = items > 0 ? fractionSum / items : 0;
+    const elapsed = (currentBatch.finishedAt || Date.now()) - currentBatch.createdAt;
+    const running = currentBatch.state === 'running' || currentBatch.state === 'paused';
+
+    return {
+        fraction,
+        elapsed,
+        eta: running && fraction > 0 ? Math.round(elapsed * (1 - fraction) / fraction) : null,
+        bytesReceived,
+        speed,
+        counts
+    };
+}
+
+function broadcastStats() {
+    chrome.runtime.sendMessage({
+        type: 'STATS_UPDATE',
+        stats: getAllTabStats(),
+        batchStats: getBatchStats()
+    }).catch(() => { });
+}
+
+async function addBatchToHistory() {
+    await historyLoaded;
+    const stats = getBatchStats();
+    batchHistory.unshift({
+        id: currentBatch.id,
+        state: currentBatch.state,
+        scope: currentBatch.scope,
+        createdAt: currentBatch.createdAt,
+        finishedAt: currentBatch.finishedAt,
+        elapsed: stats.elapsed,
+        counts: stats.counts,
+        totalBytes: stats.bytesReceived,
+        averageSpeed: stats.elapsed > 0 ? Math.round(stats.bytesReceived * 1000 / stats.elapsed) : 0
+    });
+    batchHistory = batchHistory.slice(0, MAX_BATCH_HISTORY);
+    await chrome.storage.local.set({ batchHistory });
+}
+
+// ============================================
+// Badge / Notifications（ポップアップを閉じていても状況が分かるように）
+// ============================================
+
+const NOTIFICATION_ICON = 'icons/icon128.png';
+const FAILED_NOTIFICATION_ID = 'failed';
+const STALLED_NOTIFICATION_PREFIX = 'stalled:';
+
+// 進捗のたびに呼ばれるので、表示が変わるときだけ更新する
+let lastBadgeText = null;
+
+// 現在のバッチの進行中・エラー件数をツールバーのバッジに出す
+function updateBadge() {
+    const counts = getBatchStats()?.counts;
+    const active = counts?.active || 0;
+    const errors = counts?.error || 0;
+
+    let text = active > 0 ? String(active) : '';
+    if (errors > 0) text += `!${errors}`;
+    if (text === lastBadgeText) return;
+    lastBadgeText = text;
+
+    chrome.action.setBadgeText({ text }).catch(() => { });
+    chrome.action.setBadgeBackgroundColor({ color: errors > 0 ? '#e94560' : '#4ecca3' }).catch(() => { });
+    chrome.action.setTitle({
+        title: text ? `Hitomi Auto Downloader - 進行中 ${active} / エラー ${errors}` : 'Hitomi Auto Downloader'
+    }).catch(() => { });
+}
+
+function showNotification(id, title, message) {
+    chrome.notifications.create(id, {
+        type: 'basic',
+        iconUrl: NOTIFICATION_ICON,
+        title: title,
+        message: message,
+        silent: !settings.notificationSound
+    }).catch(error => console.error('[Background] Failed to show notification:', error));
+}
+
+function notifyBatchComplete() {
+    if (!settings.notifyBatchComplete) return;
+    const { complete, error, skipped } = getBatchStats().counts;
+    showNotification(`batch:${currentBatch.id}`, 'バッチが完了しました',
+        `完了 ${complete}件 / エラー ${error}件 / スキップ ${skipped}件`);
+}
+
+// 失敗は1つの通知にまとめて件数を更新する
+function notifyFailed(tabId) {
+    if (!settings.notifyFailed || !currentBatch?.tabIds.includes(tabId)) return;
+    const state = downloadState.get(tabId);
+    const count = getBatchStats().counts.error;
+    showNotification(FAILED_NOTIFICATION_ID, `${count}件のダウンロードが失敗しました`,
+        `${cleanTitle(state?.title || '')}\n${state?.details || ''}`);
+}
+
+function notifyStalled(tabId, reason) {
+    if (!settings.notifyStalled) return;
+    const state = downloadState.get(tabId);
+    showNotification(STALLED_NOTIFICATION_PREFIX + tabId, 'ダウンロードが停止しました',
+        `${cleanTitle(state?.title || '')}\n${reason}`);
+}
+
+// 通知をクリックしたら該当するタブを表示する
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+    chrome.notifications.clear(notificationId);
+
+    let tabId = null;
+    if (notificationId.startsWith(STALLED_NOTIFICATION_PREFIX)) {
+        tabId = parseInt(notificationId.slice(STALLED_NOTIFICATION_PREFIX.length), 10);
+    } else if (notificationId === FAILED_NOTIFICATION_ID) {
+        // 最後に失敗したタブ
+        tabId = [...(currentBatch?.tabIds || [])].reverse()
+            .find(id => ['error', 'stalled', 'corrupt'].includes(downloadState.get(id)?.status)) ?? null;
+    }
+    if (tabId === null) return;
+
+    try {
+        const tab = await chrome.tabs.update(tabId, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+    } catch (error) {
+        console.log(`[Background] Tab ${tabId} for notification no longer exists`);
+    }
+});
+
+stateLoaded.then(updateBadge);
+
 // ============================================
 // Utility
 // ============================================
@@ -567,30 +2350,31 @@ function updateTabState(tabId, status, details) {
     state.details = details;
     downloadState.set(tabId, state);
     broadcastStatusUpdate(tabId, status, details);
-    if (status === 'complete' || status === 'error') saveStateToStorage();
+    updateBadge();
+    if (status === 'error' || status === 'corrupt') notifyFailed(tabId);
+    if (TERMINAL_STATUSES.includes(status)) {
+        recordBatchResult(tabId);
+        // スロットが空いたので次のタブを開始
+        processQueue();
+        checkBatchFinished();
+        saveStateToStorage();
+    }
 }
 
 function broadcastStatusUpdate(tabId, status, details) {
-    chrome.runtime.sendMessage({ type: 'STATUS_UPDATE', tabId, status, details }).catch(() => { });
+    const retry = downloadState.get(tabId)?.retry;
+    const retryInfo = retry ? { attempt: retry.attempt, maxAttempts: retry.maxAttempts } : null;
+    chrome.runtime.sendMessage({ type: 'STATUS_UPDATE', tabId, status, details, retry: retryInfo }).catch(() => { });
+}
+
+function findTabByDownloadId(downloadId) {
+    for (const [tabId, state] of downloadState) {
+        if (state.downloadId === downloadId) return tabId;
+    }
+    return null;
 }
 
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function clickDownloadButton() {
-    const dlButton = document.getElementById('dl-button');
-    if (dlButton) {
-        const rect = dlButton.getBoundingClientRect();
-        if (rect.width > 0 && rect.height > 0 && window.getComputedStyle(dlButton).display !== 'none') {
-            dlButton.click();
-            return { success: true };
-        }
-    }
-    const downloadH1 = document.querySelector('a h1');
-    if (downloadH1 && downloadH1.textContent.trim() === 'Download') {
-        downloadH1.closest('a')?.click();
-        return { success: true };
-    }
-    return { success: false, error: 'Download button not found' };
-}
@@ -1,5 +1,5 @@
 // Content Script - runs on hitomi.la pages
-// シンプル版 - 進捗監視はバックグラウンドで行う
+// ページ構造の読み書きは scripts/page-adapter.js（先に読み込むこと）
 
 // Report ready status to background
 chrome.runtime.sendMessage({ type: 'CONTENT_READY', url: window.location.href });
@@ -7,119 +7,220 @@ chrome.runtime.sendMessage({ type: 'CONTENT_READY', url: window.location.href })
 // Listen for commands from background
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'CLICK_DOWNLOAD') {
-        const result = findAndClickDownload();
+        const result = clickDownloadButton();
+        if (result.success) {
+            watchDownloadProgress();
+            result.watching = true;
+        } else {
+            console.error('[Hitomi Downloader]', result.error);
+        }
         sendResponse(result);
         return true;
     }
     if (message.type === 'CHECK_PROGRESS') {
-        const progress = checkDownloadProgress();
-        sendResponse(progress);
+        sendResponse(readDownloadProgress());
+        return true;
+    }
+    if (message.type === 'GET_METADATA') {
+        sendResponse(readGalleryMetadata());
+        return true;
+    }
+    if (message.type === 'VERIFY_ZIP') {
+        // ページが作った blob: URL はこのページからしか読めない
+        readZipEocd(message.url).then(eocd => sendResponse({ eocd }));
         return true;
     }
 });
 
-/**
- * Find and click the download button
- */
-function findAndClickDownload() {
-    console.log('[Hitomi Downloader] Searching for download button...');
-
-    // Priority 1: Direct ID selector
-    const dlButton = document.getElementById('dl-button');
-    if (dlButton) {
-        const rect = dlButton.getBoundingClientRect();
-        const isVisible = rect.width > 0 && rect.height > 0;
-        const displayStyle = window.getComputedStyle(dlButton).display;
-
-        if (isVisible && displayStyle !== 'none') {
-            console.log('[Hitomi Downloader] Found #dl-button, clicking...');
-            dlButton.click();
-            chrome.runtime.sendMessage({ type: 'DOWNLOAD_CLICKED' });
-            return { success: true, method: 'id', element: '#dl-button' };
-        } else {
-            // Button exists but hidden - might already be downloading
-            const progressbar = document.getElementById('progressbar');
-            if (progressbar) {
-                const progress = progressbar.getAttribute('aria-valuenow') || '0';
-                return {
-                    success: false,
-                    error: 'Download already in progress',
-                    progress: parseInt(progress, 10)
-                };
-            }
-        }
-    }
+// ============================================
+// Progress reporter - 進捗バーとボタンの変化をバックグラウンドへ送る
+// ============================================
+
+// 進捗の送信間隔の下限（フェーズの変化はすぐに送る）
+const PROGRESS_THROTTLE_MS = 500;
+
+let progressObserver = null;
+let lastReported = null;
+let lastProgressSentAt = 0;
+let progressTimer = null;
 
-    // Fallback: Look for a tag with h1 containing "Download"
-    const downloadH1 = document.querySelector('a h1');
-    if (downloadH1 && downloadH1.textContent.trim() === 'Download') {
-        const parentLink = downloadH1.closest('a');
-        if (parentLink) {
-            console.log('[Hitomi Downloader] Found download link via h1...');
-            parentLink.click();
-            chrome.runtime.sendMessage({ type: 'DOWNLOAD_CLICKED' });
-            return { success: true, method: 'h1', element: 'a > h1' };
+function watchDownloadProgress() {
+    if (progressObserver) return;
+
+    // #progressbar はクリック後に描画されることがあるので body ごと監視する
+    progressObserver = new MutationObserver(reportProgress);
+    progressObserver.observe(document.body, {
+        subtree: true,
+        childList: true,
+        attributes: true,
+        attributeFilter: ['aria-valuenow', 'style', 'class', 'hidden']
+    });
+    reportProgress();
+}
+
+function reportProgress() {
+    const current = readDownloadProgress();
+    const phaseChanged = current.status !== lastReported?.status;
+    if (!phaseChanged && current.progress === lastReported.progress) return;
+
+    const wait = phaseChanged ? 0 : lastProgressSentAt + PROGRESS_THROTTLE_MS - Date.now();
+    if (wait > 0) {
+        if (!progressTimer) {
+            progressTimer = setTimeout(() => {
+                progressTimer = null;
+                reportProgress();
+            }, wait);
         }
+        return;
     }
 
-    // Fallback 2: Text-based search
-    const allElements = document.querySelectorAll('a, button');
-    for (const element of allElements) {
-        const text = element.textContent.trim();
-        if (text === 'Download' || text === 'ダウンロード') {
-            const rect = element.getBoundingClientRect();
-            if (rect.width > 0 && rect.height > 0) {
-                console.log('[Hitomi Downloader] Found by text:', element);
-                element.click();
-                chrome.runtime.sendMessage({ type: 'DOWNLOAD_CLICKED' });
-                return { success: true, method: 'text', element: element.tagName };
-            }
-        }
+    clearTimeout(progressTimer);
+    progressTimer = null;
+    lastReported = current;
+    lastProgressSentAt = Date.now();
+
+    try {
+        chrome.runtime.sendMessage({
+            type: phaseChanged ? 'DOWNLOAD_PHASE' : 'DOWNLOAD_PROGRESS',
+            phase: current.status,
+            progress: current.progress
+        }).catch(() => { });
+    } catch (error) {
+        // 拡張機能が再読み込みされると送れなくなるので監視をやめる（以降はポーリングに任せる）
+        progressObserver.disconnect();
+        progressObserver = null;
     }
+}
+
+// ============================================
+// Listing pages - 検索結果・タグ・アーティストなどの一覧ページ
+// ============================================
+
+let listingContentPaths = DEFAULT_SETTINGS.contentPaths;
 
-    // Not found
-    const error = 'Download button not found on this page';
-    console.error('[Hitomi Downloader]', error);
-    chrome.runtime.sendMessage({ type: 'DOWNLOAD_ERROR', error: error });
-    return { success: false, error: error };
+function getListingGalleries() {
+    return readListingGalleries(document, listingContentPaths);
 }
 
-/**
- * Check download progress - called by background via polling
- */
-function checkDownloadProgress() {
-    const progressbar = document.getElementById('progressbar');
-    const dlButton = document.getElementById('dl-button');
-
-    if (progressbar) {
-        const value = progressbar.getAttribute('aria-valuenow');
-        const progressValue = parseInt(value || '0', 10);
-        const isVisible = window.getComputedStyle(progressbar).display !== 'none';
-
-        if (isVisible) {
-            return {
-                status: 'downloading',
-                progress: progressValue,
-                dlButtonVisible: false
-            };
-        }
+function decorateListingGalleries() {
+    for (const gallery of getListingGalleries()) {
+        if (gallery.container.querySelector('.hd-queue-check')) continue;
+
+        const label = document.createElement('label');
+        label.className = 'hd-queue-check';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.url = gallery.url;
+        checkbox.addEventListener('change', updateListingToolbar);
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' キューに追加'));
+        gallery.container.prepend(label);
     }
+    updateListingToolbar();
+}
 
-    // If no progress bar but button is visible, download might be complete or not started
-    if (dlButton) {
-        const isVisible = window.getComputedStyle(dlButton).display !== 'none';
-        if (isVisible) {
-            return { status: 'ready', progress: 0, dlButtonVisible: true };
+function createListingToolbar() {
+    const style = document.createElement('style');
+    style.textContent = `
+        .hd-queue-check { display: block; font-size: 12px; padding: 2px 4px; cursor: pointer; }
+        #hd-listing-toolbar {
+            position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;
+            display: flex; flex-direction: column; gap: 6px; padding: 10px;
+            background: #1a1a2e; color: #e0e0e0; border-radius: 8px;
+            box-shadow: 0 4px 15px rgba(0, 0, 0, 0.4); font: 12px 'Segoe UI', 'Meiryo', sans-serif;
         }
+        #hd-listing-toolbar button {
+            padding: 6px 10px; border: none; border-radius: 6px; cursor: pointer;
+            background: #e94560; color: white; font-size: 12px;
+        }
+        #hd-listing-toolbar button:disabled { background: #555; cursor: not-allowed; }
+        #hd-listing-status { min-height: 1em; color: #aaa; }
+    `;
+    document.head.appendChild(style);
+
+    const toolbar = document.createElement('div');
+    toolbar.id = 'hd-listing-toolbar';
+
+    const queueSelected = document.createElement('button');
+    queueSelected.id = 'hd-queue-selected';
+    queueSelected.addEventListener('click', () => {
+        const urls = new Set([...document.querySelectorAll('.hd-queue-check input:checked')].map(cb => cb.dataset.url));
+        queueListingGalleries(getListingGalleries().filter(g => urls.has(g.url)));
+    });
+
+    const queueAll = document.createElement('button');
+    queueAll.textContent = 'このページを全てキューに追加';
+    queueAll.addEventListener('click', () => queueListingGalleries(getListingGalleries()));
+
+    const status = document.createElement('span');
+    status.id = 'hd-listing-status';
+
+    toolbar.appendChild(queueSelected);
+    toolbar.appendChild(queueAll);
+    toolbar.appendChild(status);
+    document.body.appendChild(toolbar);
+}
+
+function updateListingToolbar() {
+    const button = document.getElementById('hd-queue-selected');
+    if (!button) return;
+    const count = document.querySelectorAll('.hd-queue-check input:checked').length;
+    const label = `選択をキューに追加 (${count})`;
+    // 書き換え自体が MutationObserver を発火させるので、変化があるときだけ更新する
+    if (button.textContent !== label) button.textContent = label;
+    button.disabled = count === 0;
+}
+
+async function queueListingGalleries(galleries) {
+    const status = document.getElementById('hd-listing-status');
+    if (galleries.length === 0) return;
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'QUEUE_GALLERIES',
+            galleries: galleries.map(({ url, title, galleryId }) => ({ url, title, galleryId }))
+        });
+        if (!response.success) throw new Error(response.error);
+
+        status.textContent = `${response.queued.length}件追加` +
+            (response.skipped.length > 0 ? ` / ${response.skipped.length}件スキップ` : '');
+        status.title = response.skipped.map(s => `${s.galleryId}: ${s.reason}`).join('\n');
+
+        for (const checkbox of document.querySelectorAll('.hd-queue-check input:checked')) {
+            checkbox.checked = false;
+        }
+        updateListingToolbar();
+    } catch (error) {
+        console.error('[Hitomi Downloader] Failed to queue galleries:', error);
+        status.textContent = 'キューへの追加に失敗しました';
     }
+}
+
+async function initListingPage() {
+    listingContentPaths = (await loadSettings()).contentPaths;
+    createListingToolbar();
+    decorateListingGalleries();
+
+    // 一覧はページのスクリプトが後から描画・ページ送りするので追従する
+    let pending = null;
+    new MutationObserver(() => {
+        clearTimeout(pending);
+        pending = setTimeout(decorateListingGalleries, 300);
+    }).observe(document.body, { childList: true, subtree: true });
+}
 
-    // Neither visible - likely complete
-    return { status: 'complete', progress: 100, dlButtonVisible: false };
+if (isListingPath(window.location.pathname) && !document.getElementById('hd-listing-toolbar')) {
+    initListingPage();
 }
 
 // Export for debugging
 window.__hitomiDownloader = {
-    findAndClickDownload,
-    checkDownloadProgress,
-    version: '2.0.0'
+    clickDownloadButton,
+    readDownloadProgress,
+    readGalleryMetadata,
+    getListingGalleries,
+    watchDownloadProgress,
+    layoutVersion: PAGE_LAYOUT_VERSION
 };
@@ -0,0 +1,106 @@
+// Direct Download - ページのボタンを使わずに画像を取得してZIPを作る
+// offscreen/offscreen.js から使う。取得先は gallery-source.js、ZIPの組み立ては zip-writer.js（先に読み込むこと）
+// checkpoint を渡すと取得済みの画像を使い回し、足りないページだけを取得する（image-checkpoint.js）
+
+// 1枚ごとのリトライ間隔 (ms)。2回目以降は倍にしていく
+const IMAGE_RETRY_BASE_DELAY = 1000;
+
+function waitFor(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
+
+// 1枚取得する。失敗したら retries 回まで待ってやり直す
+async function fetchImage(url, retries, signal) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await fetch(url, { signal, credentials: 'omit' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return new Uint8Array(await response.arrayBuffer());
+        } catch (error) {
+            if (signal?.aborted || attempt >= retries) throw error;
+            await waitFor(IMAGE_RETRY_BASE_DELAY * 2 ** attempt, signal);
+        }
+    }
+}
+
+// items を最大 concurrency 件ずつ並行して処理する。1件でも失敗したら全体を失敗にする
+async function runWithConcurrency(items, concurrency, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * ギャラリーを取得してZIPにする
+ * @param {object} options
+ * @param {string} options.galleryId
+ * @param {number} options.concurrency - 同時に取得する画像数
+ * @param {number} options.retries - 1枚あたりのリトライ回数
+ * @param {AbortSignal} [options.signal]
+ * @param {object} [options.source] - GALLERY_SOURCE と同じ形（モックサーバー用）
+ * @param {{ load: function(string): Promise<Map>, save: function(string, string, Uint8Array): Promise }} [options.checkpoint]
+ * @param {function({ done: number, total: number, bytes: number, resumed: number }): void} [options.onProgress]
+ * @returns {Promise<{ blob: Blob, title: string|null, pageCount: number, resumed: number }>}
+ */
+async function downloadGallery({ galleryId, concurrency, retries, signal, source = GALLERY_SOURCE, checkpoint, onProgress }) {
+    const { title, images } = await resolveGalleryImages(galleryId, source, signal);
+    const saved = checkpoint ? await checkpoint.load(galleryId) : new Map();
+
+    // 1枚でも失敗したら残りの取得も止める
+    const controller = new AbortController();
+    signal?.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+
+    const entries = new Array(images.length);
+    const missing = [];
+    let bytes = 0;
+    images.forEach((image, index) => {
+        const data = saved.get(image.hash);
+        if (data) {
+            entries[index] = { name: image.name, data };
+            bytes += data.length;
+        } else {
+            missing.push(index);
+        }
+    });
+    const resumed = images.length - missing.length;
+    let done = resumed;
+    onProgress?.({ done, total: images.length, bytes, resumed });
+
+    try {
+        await runWithConcurrency(missing, concurrency, async (index) => {
+            const image = images[index];
+            if (controller.signal.aborted) throw controller.signal.reason;
+            let data;
+            try {
+                data = await fetchImage(image.url, retries, controller.signal);
+            } catch (error) {
+                if (controller.signal.aborted) throw error;
+                throw new Error(`${image.name} を取得できません (${error.message})`);
+            }
+            entries[index] = { name: image.name, data };
+            // 保存できなくても（容量不足など）今回のダウンロードは続ける
+            await checkpoint?.save(galleryId, image.hash, data).catch(error => {
+                console.warn(`[DirectDownload] Failed to save checkpoint for ${image.name}:`, error);
+            });
+            done++;
+            bytes += data.length;
+            onProgress?.({ done, total: images.length, bytes, resumed });
+        });
+    } catch (error) {
+        controller.abort(error);
+        throw error;
+    }
+
+    return { blob: buildZip(entries), title, pageCount: images.length, resumed };
+}
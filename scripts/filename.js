@@ -0,0 +1,65 @@
+// Filename Templates - ダウンロードしたZIPのリネーム
+// {id} {title} {artist} {type} {language} {date} をギャラリー情報で置換する
+// トークン一覧 TEMPLATE_TOKENS は settings.js で定義（先に読み込むこと）
+
+// ファイル名1要素あたりの上限（UTF-8バイト数）。uniquify の " (1)" 分を残しておく
+const MAX_SEGMENT_BYTES = 200;
+
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+function formatDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function renderTemplate(template, tokens) {
+    return template.replace(/\{(\w+)\}/g, (whole, name) =>
+        TEMPLATE_TOKENS.includes(name) ? (tokens[name] ?? '') : whole
+    );
+}
+
+// パスとして使えない文字を置換し、Windowsで問題になる末尾のドット・空白を除去
+function sanitizeSegment(segment) {
+    let result = segment
+        .replace(/[\\/:*?"<>|\x00-\x1f\x7f]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/[. ]+$/, '');
+
+    if (WINDOWS_RESERVED_NAMES.test(result)) result = '_' + result;
+    return result;
+}
+
+// サロゲートペアや多バイト文字の途中で切らないようにコードポイント単位で切り詰める
+function truncateToBytes(str, maxBytes) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(str).length <= maxBytes) return str;
+
+    let bytes = 0;
+    let result = '';
+    for (const char of str) {
+        bytes += encoder.encode(char).length;
+        if (bytes > maxBytes) break;
+        result += char;
+    }
+    return result.trim();
+}
+
+/**
+ * テンプレートからダウンロードの相対パスを組み立てる
+ * @param {string} filenameTemplate - 例: "{title} [{id}]"
+ * @param {string} subfolderTemplate - 例: "{type}/{artist}" （空ならフォルダ分けしない）
+ * @param {object} tokens - TEMPLATE_TOKENS に対応する値
+ * @returns {string|null} 組み立てられなかった場合は null
+ */
+function buildDownloadPath(filenameTemplate, subfolderTemplate, tokens) {
+    const basename = truncateToBytes(sanitizeSegment(renderTemplate(filenameTemplate, tokens)), MAX_SEGMENT_BYTES);
+    if (!basename) return null;
+
+    const folders = (subfolderTemplate || '')
+        .split('/')
+        .map(part => truncateToBytes(sanitizeSegment(renderTemplate(part, tokens)), MAX_SEGMENT_BYTES))
+        .filter(Boolean);
+
+    return [...folders, `${basename}.zip`].join('/');
+}
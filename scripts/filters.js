@@ -0,0 +1,155 @@
+// Gallery Filters - タグ・言語などのブラックリスト / ホワイトリスト
+// page-adapter.js の readGalleryMetadata() の結果に対してクリック前に評価する
+// ルール形式（1行に1つ、# 以降はコメント）:
+//   block tag:female:guro     … 一致したら除外
+//   allow language:japanese   … 同じ項目の allow のどれにも一致しなければ除外
+// 言語は表示名（日本語）ではなく getLanguageKey() のキー（japanese）で比べるので、どちらで書いてもよい
+// 項目一覧 FILTER_FIELDS と getLanguageKey は settings.js で定義（先に読み込むこと）
+
+const FILTER_EXPORT_FORMAT = 'hitomi-downloader-filters';
+const FILTER_EXPORT_VERSION = 1;
+
+const FILTER_METADATA_KEYS = {
+    tag: 'tags',
+    language: 'language',
+    artist: 'artists',
+    group: 'groups',
+    series: 'series',
+    character: 'characters',
+    type: 'type'
+};
+
+function normalizeFilterValue(value) {
+    return String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// "big breasts ♀" → "female:big breasts"（サイトの表記をルールの表記に合わせる）
+function normalizeTag(tag) {
+    const text = normalizeFilterValue(tag);
+    if (text.endsWith('♀')) return 'female:' + text.slice(0, -1).trim();
+    if (text.endsWith('♂')) return 'male:' + text.slice(0, -1).trim();
+    return text;
+}
+
+function getFilterValues(metadata, field) {
+    if (field === 'language') {
+        const key = metadata?.languageKey || getLanguageKey(metadata?.language);
+        return key ? [key] : [];
+    }
+    const value = metadata?.[FILTER_METADATA_KEYS[field]];
+    const values = Array.isArray(value) ? value : (value ? [value] : []);
+    return field === 'tag' ? values.map(normalizeTag) : values.map(normalizeFilterValue);
+}
+
+function matchesFilterRule(rule, values) {
+    const expected = rule.field === 'language' ? getLanguageKey(rule.value) : normalizeFilterValue(rule.value);
+    return values.some(value =>
+        value === expected ||
+        // 名前空間なしのタグは female: / male: 付きにも一致させる
+        (rule.field === 'tag' && !expected.includes(':') && value.replace(/^(female|male):/, '') === expected)
+    );
+}
+
+function describeFilterRule(rule) {
+    return `${rule.field}:${rule.value}`;
+}
+
+/**
+ * ルールを評価する
+ * @returns {{ rule: object|null, reason: string }|null} 除外しない場合は null
+ */
+function evaluateFilterRules(rules, metadata) {
+    for (const rule of rules) {
+        if (rule.action === 'block' && matchesFilterRule(rule, getFilterValues(metadata, rule.field))) {
+            return { rule, reason: `除外ルール ${describeFilterRule(rule)}` };
+        }
+    }
+
+    const allowFields = [...new Set(rules.filter(rule => rule.action === 'allow').map(rule => rule.field))];
+    for (const field of allowFields) {
+        const values = getFilterValues(metadata, field);
+        const allowed = rules.filter(rule => rule.action === 'allow' && rule.field === field);
+        if (!allowed.some(rule => matchesFilterRule(rule, values))) {
+            return { rule: null, reason: `許可リスト外の${field} (${values.join(', ') || '不明'})` };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * テキスト形式のルールを読み込む
+ * @returns {{ rules: Array, errors: Array<{ line: number, message: string }> }}
+ */
+function parseFilterRules(text) {
+    const rules = [];
+    const errors = [];
+
+    text.split('\n').forEach((raw, index) => {
+        const line = raw.replace(/#.*$/, '').trim();
+        if (!line) return;
+
+        const match = line.match(/^(block|allow)\s+(\w+):(.+)$/i);
+        if (!match) {
+            errors.push({ line: index + 1, message: `"${line}" は "block tag:値" の形式で指定してください` });
+            return;
+        }
+
+        const field = match[2].toLowerCase();
+        if (!FILTER_FIELDS.includes(field)) {
+            errors.push({ line: index + 1, message: `不明な項目: ${field}` });
+            return;
+        }
+
+        rules.push({ action: match[1].toLowerCase(), field, value: match[3].trim() });
+    });
+
+    return { rules, errors };
+}
+
+function formatFilterRules(rules) {
+    return rules.map(rule => `${rule.action} ${describeFilterRule(rule)}`).join('\n');
+}
+
+// チームで共有するためのエクスポート形式
+function buildFilterExport(rules) {
+    return JSON.stringify({
+        format: FILTER_EXPORT_FORMAT,
+        version: FILTER_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        rules: rules
+    }, null, 2);
+}
+
+/**
+ * エクスポートしたJSON、またはテキスト形式のルールを読み込む
+ * @returns {{ rules: Array, errors: Array<{ line: number, message: string }> }}
+ */
+function parseFilterImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return parseFilterRules(text);
+    }
+
+    if (data?.format !== FILTER_EXPORT_FORMAT || !Array.isArray(data.rules)) {
+        return { rules: [], errors: [{ line: 0, message: 'フィルタのエクスポートファイルではありません' }] };
+    }
+    if (data.version > FILTER_EXPORT_VERSION) {
+        return { rules: [], errors: [{ line: 0, message: `新しい形式 (version ${data.version}) には対応していません` }] };
+    }
+
+    // 形式の崩れたルールは文字列にできないので、先に1件ずつ確かめる
+    const errors = [];
+    data.rules.forEach((rule, index) => {
+        if (!rule || typeof rule !== 'object' || !['block', 'allow'].includes(rule.action) ||
+            !FILTER_FIELDS.includes(rule.field) || typeof rule.value !== 'string' || !rule.value.trim()) {
+            errors.push({ line: 0, message: `${index + 1}件目のルールが不正です: ${JSON.stringify(rule)}` });
+        }
+    });
+    if (errors.length > 0) return { rules: [], errors };
+
+    // JSONでもテキストと同じ検証を通す
+    return parseFilterRules(formatFilterRules(data.rules));
+}
@@ -0,0 +1,100 @@
+// Gallery Source - ギャラリーIDから画像URLの一覧を得る（直接ダウンロード用）
+// サイトの common.js / gg.js と同じ規則でURLを組み立てる
+// 仕組みが変わったら GALLERY_SOURCE と buildImageUrl を直して GALLERY_SOURCE_VERSION を上げること
+
+const GALLERY_SOURCE_VERSION = 1;
+
+// 取得先。テスト用のモックサーバーに向けるときは同じ形のオブジェクトを渡す
+const GALLERY_SOURCE = {
+    galleryInfoUrl: galleryId => `https://ltn.gold-usergeneratedcontent.net/galleries/${galleryId}.js`,
+    ggUrl: 'https://ltn.gold-usergeneratedcontent.net/gg.js',
+    imageBase: subdomain => `https://${subdomain}.gold-usergeneratedcontent.net/`
+};
+
+// 画像サーバーはリファラを確認する（background.js のヘッダ書き換えルールで付ける）
+const GALLERY_IMAGE_DOMAIN = 'gold-usergeneratedcontent.net';
+const GALLERY_REFERER = 'https://hitomi.la/';
+
+// "var galleryinfo = {...}" からオブジェクトを取り出す
+function parseGalleryInfo(text) {
+    const start = text.indexOf('{');
+    if (start < 0) throw new Error('ギャラリー情報を読み込めません');
+    const info = JSON.parse(text.slice(start).replace(/;\s*$/, ''));
+    if (!Array.isArray(info.files) || info.files.length === 0) {
+        throw new Error('ギャラリー情報に画像がありません');
+    }
+    return info;
+}
+
+/**
+ * gg.js（画像サーバーの振り分け表）を読む
+ *   m(g): switch の case に含まれる g なら caseValue、それ以外は defaultValue
+ *   b: パスの先頭に付くディレクトリ
+ */
+function parseGg(text) {
+    const base = text.match(/b:\s*'([^']*)'/)?.[1];
+    if (base === undefined) throw new Error(`gg.js を読み込めません (source v${GALLERY_SOURCE_VERSION})`);
+
+    const defaultValue = parseInt(text.match(/var o = (\d+)/)?.[1] ?? '0', 10);
+    const caseValue = parseInt(text.match(/o = (\d+); break;/)?.[1] ?? '1', 10);
+    const cases = new Set([...text.matchAll(/case (\d+):/g)].map(m => parseInt(m[1], 10)));
+
+    return {
+        m: g => cases.has(g) ? caseValue : defaultValue,
+        b: base
+    };
+}
+
+// ハッシュの末尾3文字（最後の1文字 + その前の2文字）を16進数として読む
+function getHashBucket(hash) {
+    const match = /(..)(.)$/.exec(hash);
+    return parseInt(match[2] + match[1], 16);
+}
+
+/**
+ * 1枚分のURLとZIP内の名前を組み立てる（webp を優先し、無ければ avif）
+ * @returns {{ name: string, url: string, hash: string }}
+ */
+function buildImageUrl(gg, file, source = GALLERY_SOURCE) {
+    const ext = file.haswebp ? 'webp' : file.hasavif ? 'avif' : null;
+    if (!ext) throw new Error(`${file.name} は対応していない形式です`);
+
+    const bucket = getHashBucket(file.hash);
+    const subdomain = (ext === 'webp' ? 'w' : 'a') + (1 + gg.m(bucket));
+    return {
+        name: file.name.replace(/\.[^.]+$/, '') + '.' + ext,
+        url: `${source.imageBase(subdomain)}${gg.b}${bucket}/${file.hash}.${ext}`,
+        hash: file.hash
+    };
+}
+
+/**
+ * ギャラリーの画像一覧を取得する
+ * @returns {Promise<{ title: string|null, images: Array<{ name: string, url: string, hash: string }> }>}
+ */
+async function resolveGalleryImages(galleryId, source = GALLERY_SOURCE, signal = undefined) {
+    const fetchText = async url => {
+        const response = await fetch(url, { signal, cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${url}`);
+        return response.text();
+    };
+
+    const [info, gg] = await Promise.all([
+        fetchText(source.galleryInfoUrl(galleryId)).then(parseGalleryInfo),
+        fetchText(source.ggUrl).then(parseGg)
+    ]);
+
+    // 同じ名前の画像があると上書きされるので番号を付けて区別する
+    const used = new Set();
+    const images = info.files.map(file => {
+        const image = buildImageUrl(gg, file, source);
+        let name = image.name;
+        for (let n = 2; used.has(name); n++) {
+            name = image.name.replace(/(\.\w+)$/, ` (${n})$1`);
+        }
+        used.add(name);
+        return { ...image, name };
+    });
+
+    return { title: info.title || null, images };
+}
@@ -0,0 +1,78 @@
+// Image Checkpoints - 直接ダウンロードで取得した画像を IndexedDB に残す
+// リトライ時は足りないページだけを取得してZIPを作り直す（offscreen/offscreen.js が保存、background.js が完了時に削除）
+// ギャラリーIDと画像のハッシュで管理するので、gg.js が変わって画像URLが変わっても使い回せる
+
+const CHECKPOINT_DB_NAME = 'hitomi-downloader';
+const CHECKPOINT_DB_VERSION = 1;
+const CHECKPOINT_STORE = 'pages';
+// 完了しないまま放置されたギャラリーの画像を消すまでの期間
+const CHECKPOINT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+let checkpointDb = null;
+
+function openCheckpointDb() {
+    if (!checkpointDb) {
+        checkpointDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(CHECKPOINT_DB_NAME, CHECKPOINT_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(CHECKPOINT_STORE, { keyPath: ['galleryId', 'hash'] });
+                store.createIndex('savedAt', 'savedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // 開けなかった場合は次回やり直す
+        checkpointDb.catch(() => { checkpointDb = null; });
+    }
+    return checkpointDb;
+}
+
+async function runCheckpointTransaction(mode, callback) {
+    const db = await openCheckpointDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(CHECKPOINT_STORE, mode);
+        let result;
+        const request = callback(transaction.objectStore(CHECKPOINT_STORE));
+        if (request) request.onsuccess = () => { result = request.result; };
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// ギャラリーの範囲（キーは [galleryId, hash]）
+function getGalleryKeyRange(galleryId) {
+    return IDBKeyRange.bound([String(galleryId), ''], [String(galleryId), '\uffff']);
+}
+
+/**
+ * 取得済みの画像を読み込む
+ * @returns {Promise<Map<string, Uint8Array>>} hash -> 画像データ
+ */
+async function loadCheckpoints(galleryId) {
+    const records = await runCheckpointTransaction('readonly', store => store.getAll(getGalleryKeyRange(galleryId)));
+    return new Map((records || []).map(record => [record.hash, record.data]));
+}
+
+function saveCheckpoint(galleryId, hash, data) {
+    return runCheckpointTransaction('readwrite', store =>
+        store.put({ galleryId: String(galleryId), hash, data, savedAt: Date.now() })
+    );
+}
+
+function clearCheckpoints(galleryId) {
+    return runCheckpointTransaction('readwrite', store => store.delete(getGalleryKeyRange(galleryId)));
+}
+
+// 古い画像を削除する（ギャラリー単位ではなく保存時刻で判定）
+function pruneCheckpoints(maxAge = CHECKPOINT_MAX_AGE) {
+    return runCheckpointTransaction('readwrite', store => {
+        const request = store.index('savedAt').openCursor(IDBKeyRange.upperBound(Date.now() - maxAge));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            cursor.delete();
+            cursor.continue();
+        };
+    });
+}
@@ -0,0 +1,174 @@
+// Page Adapter - hitomi.la のページ構造に依存する処理はすべてここに置く
+// content.js が使い、background.js / popup.js は content script 経由か URL 判定だけを使う
+// isContentPage / getLanguageKey は settings.js で定義（先に読み込むこと）
+// サイトのレイアウトが変わったら PAGE_SELECTORS を直して PAGE_LAYOUT_VERSION を上げること
+
+const PAGE_LAYOUT_VERSION = 1;
+
+const PAGE_SELECTORS = {
+    // ギャラリーページ
+    downloadButton: '#dl-button',
+    downloadHeading: 'a h1',
+    downloadCandidates: 'a, button',
+    progressBar: '#progressbar',
+    title: '#gallery-brand',
+    artists: '#artists a',
+    groups: '#groups a',
+    series: '#series a',
+    characters: '#characters a',
+    tags: '#tags a',
+    language: ['#language a', '#language'],
+    languageLink: '#language a[href]',
+    type: ['#type a', '#type'],
+    thumbnails: '.thumbnail-list li',
+    // 一覧ページ
+    listingItems: '.gallery-content > div',
+    listingTitle: 'h1'
+};
+
+// ボタンが見つからないときにテキストで探す
+const DOWNLOAD_BUTTON_TEXTS = ['Download', 'ダウンロード'];
+
+const GALLERY_ID_PATTERN = /-(\d+)\.html/;
+// 言語のリンク先（/index-japanese.html）
+const LANGUAGE_LINK_PATTERN = /\/index-([^\/.]+)\.html/;
+const LISTING_PATH_PATTERN = /^\/(index|search|tag|artist|group|series|character|type)[-.\/]/;
+
+function extractGalleryId(url) {
+    const match = url?.match(GALLERY_ID_PATTERN);
+    return match ? match[1] : null;
+}
+
+function isListingPath(pathname) {
+    return LISTING_PATH_PATTERN.test(pathname);
+}
+
+function isDisplayed(element) {
+    return element.ownerDocument.defaultView.getComputedStyle(element).display !== 'none';
+}
+
+// クリックできるのは表示中かつ大きさのある要素だけ
+function isClickable(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && isDisplayed(element);
+}
+
+/**
+ * ダウンロードボタンを押す
+ * @param {Document|Element} root
+ * @returns {{ success: boolean, method?: string, progress?: number, error?: string }}
+ */
+function clickDownloadButton(root = document) {
+    const dlButton = root.querySelector(PAGE_SELECTORS.downloadButton);
+    if (dlButton) {
+        if (isClickable(dlButton)) {
+            dlButton.click();
+            return { success: true, method: 'id' };
+        }
+
+        // ボタンが隠れていて進捗バーがあれば、既にZIPを生成中
+        const progressbar = root.querySelector(PAGE_SELECTORS.progressBar);
+        if (progressbar && isDisplayed(progressbar)) {
+            return { success: true, method: 'already-running', progress: readProgressValue(progressbar) };
+        }
+    }
+
+    const heading = root.querySelector(PAGE_SELECTORS.downloadHeading);
+    if (heading && DOWNLOAD_BUTTON_TEXTS.includes(heading.textContent.trim())) {
+        const link = heading.closest('a');
+        if (link) {
+            link.click();
+            return { success: true, method: 'heading' };
+        }
+    }
+
+    for (const element of root.querySelectorAll(PAGE_SELECTORS.downloadCandidates)) {
+        if (DOWNLOAD_BUTTON_TEXTS.includes(element.textContent.trim()) && isClickable(element)) {
+            element.click();
+            return { success: true, method: 'text' };
+        }
+    }
+
+    return { success: false, error: `Download button not found (layout v${PAGE_LAYOUT_VERSION})` };
+}
+
+function readProgressValue(progressbar) {
+    return parseInt(progressbar.getAttribute('aria-valuenow') || '0', 10);
+}
+
+/**
+ * ページのダウンロード状況を読む
+ * downloading: 進捗バー表示中 / ready: ボタン表示中（未開始）/ preparing: どちらも無い（ZIPの保存待ち）
+ * @returns {{ status: 'downloading'|'ready'|'preparing', progress: number, dlButtonVisible: boolean }}
+ */
+function readDownloadProgress(root = document) {
+    const progressbar = root.querySelector(PAGE_SELECTORS.progressBar);
+    if (progressbar && isDisplayed(progressbar)) {
+        return { status: 'downloading', progress: readProgressValue(progressbar), dlButtonVisible: false };
+    }
+
+    const dlButton = root.querySelector(PAGE_SELECTORS.downloadButton);
+    if (dlButton && isDisplayed(dlButton)) {
+        return { status: 'ready', progress: 0, dlButtonVisible: true };
+    }
+
+    return { status: 'preparing', progress: 100, dlButtonVisible: false };
+}
+
+/**
+ * ギャラリー情報を読む
+ * 一覧系（artists, tags など）は常に配列、見つからない項目は null
+ */
+function readGalleryMetadata(root = document, url = window.location.href) {
+    const texts = selector => [...root.querySelectorAll(selector)]
+        .map(el => el.textContent.trim())
+        .filter(Boolean);
+    const text = selectors => {
+        for (const selector of [].concat(selectors)) {
+            const value = root.querySelector(selector)?.textContent.trim();
+            if (value) return value;
+        }
+        return null;
+    };
+
+    const thumbnails = root.querySelectorAll(PAGE_SELECTORS.thumbnails);
+    const language = text(PAGE_SELECTORS.language);
+    // 表示名は言語ごとに違うので、フィルタなどではリンク先の名前（getLanguageKey と同じ形）を使う
+    const languageLink = root.querySelector(PAGE_SELECTORS.languageLink)?.getAttribute('href')?.match(LANGUAGE_LINK_PATTERN);
+
+    return {
+        id: extractGalleryId(url),
+        title: text(PAGE_SELECTORS.title),
+        artists: texts(PAGE_SELECTORS.artists),
+        groups: texts(PAGE_SELECTORS.groups),
+        series: texts(PAGE_SELECTORS.series),
+        characters: texts(PAGE_SELECTORS.characters),
+        tags: texts(PAGE_SELECTORS.tags),
+        language: language,
+        languageKey: languageLink ? decodeURIComponent(languageLink[1]).toLowerCase() : getLanguageKey(language),
+        type: text(PAGE_SELECTORS.type),
+        pageCount: thumbnails.length || null
+    };
+}
+
+/**
+ * 一覧ページに描画されているギャラリーを集める
+ * @param {string[]} contentPaths - settings.contentPaths
+ */
+function readListingGalleries(root, contentPaths) {
+    const galleries = [];
+    for (const container of root.querySelectorAll(PAGE_SELECTORS.listingItems)) {
+        const link = [...container.querySelectorAll('a[href]')]
+            .find(a => isContentPage(a.href, contentPaths) && extractGalleryId(a.href));
+        if (!link) continue;
+
+        const titleElement = container.querySelector(PAGE_SELECTORS.listingTitle) || link;
+        galleries.push({
+            container,
+            url: link.href,
+            title: titleElement.textContent.trim(),
+            galleryId: extractGalleryId(link.href)
+        });
+    }
+    return galleries;
+}
@@ -0,0 +1,158 @@
+// Session Export / Import - バッチの内容を JSON・テキスト・CSV で受け渡す
+// 1件 = { galleryId, url, title, status, error }
+// extractGalleryId は page-adapter.js で定義（先に読み込むこと）
+
+const SESSION_EXPORT_FORMAT = 'hitomi-downloader-session';
+const SESSION_EXPORT_VERSION = 1;
+const SESSION_CSV_COLUMNS = ['galleryId', 'url', 'title', 'status', 'error'];
+
+const SESSION_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    text: { extension: 'txt', mimeType: 'text/plain' },
+    csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+function escapeCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 書き出すファイルの内容を組み立てる
+ * @param {'json'|'text'|'csv'} format
+ * @returns {{ extension: string, mimeType: string, content: string }}
+ */
+function buildSessionExport(entries, format) {
+    let content;
+    if (format === 'csv') {
+        content = [
+            SESSION_CSV_COLUMNS.join(','),
+            ...entries.map(entry => SESSION_CSV_COLUMNS.map(key => escapeCsvField(entry[key])).join(','))
+        ].join('\r\n') + '\r\n';
+    } else if (format === 'text') {
+        // 1行に1つのURL。# 以降は人が読むための注記で、読み込み時は無視する
+        content = entries.map(entry => {
+            const note = [entry.status, entry.error, entry.title].filter(Boolean).join(' | ');
+            return note ? `${entry.url}  # ${note.replace(/\s+/g, ' ')}` : entry.url;
+        }).join('\n') + '\n';
+    } else {
+        content = JSON.stringify({
+            format: SESSION_EXPORT_FORMAT,
+            version: SESSION_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            entries: entries
+        }, null, 2);
+    }
+
+    return { ...SESSION_FORMATS[format] || SESSION_FORMATS.json, content };
+}
+
+// 引用符で囲まれたカンマ・改行を含むフィールドに対応した最小限のCSVパーサ
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim()));
+}
+
+function toSessionEntry(data) {
+    const url = String(data.url || '').trim();
+    return {
+        galleryId: String(data.galleryId || '').trim() || extractGalleryId(url),
+        url: url,
+        title: data.title || '',
+        status: data.status || '',
+        error: data.error || ''
+    };
+}
+
+/**
+ * 書き出したファイル（形式は内容から判別）を読み込む
+ * @returns {{ entries: Array, errors: Array<{ line: number, message: string }> }}
+ */
+function parseSessionImport(text) {
+    const trimmed = text.replace(/^﻿/, '').trim();
+    const entries = [];
+    const errors = [];
+
+    if (trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            return { entries, errors: [{ line: 0, message: 'JSONとして読み込めません' }] };
+        }
+        if (data.format !== SESSION_EXPORT_FORMAT || !Array.isArray(data.entries)) {
+            return { entries, errors: [{ line: 0, message: 'バッチの書き出しファイルではありません' }] };
+        }
+        if (data.version > SESSION_EXPORT_VERSION) {
+            return { entries, errors: [{ line: 0, message: `新しい形式 (version ${data.version}) には対応していません` }] };
+        }
+        data.entries.forEach((item, index) => {
+            const entry = toSessionEntry(item || {});
+            if (entry.url) entries.push(entry);
+            else errors.push({ line: index + 1, message: 'URLがありません' });
+        });
+        return { entries, errors };
+    }
+
+    if (trimmed.startsWith(SESSION_CSV_COLUMNS.join(','))) {
+        const [header, ...rows] = parseCsv(trimmed);
+        rows.forEach((row, index) => {
+            const item = Object.fromEntries(header.map((key, i) => [key, row[i]]));
+            const entry = toSessionEntry(item);
+            if (entry.url) entries.push(entry);
+            else errors.push({ line: index + 2, message: 'URLがありません' });
+        });
+        return { entries, errors };
+    }
+
+    trimmed.split('\n').forEach((raw, index) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) return;
+
+        // 先頭のURLだけを使う（後ろの # 注記は無視）
+        const url = line.split(/\s+/)[0];
+        if (!/^https?:\/\//.test(url)) {
+            errors.push({ line: index + 1, message: `"${url}" はURLではありません` });
+            return;
+        }
+        const note = line.match(/\s#\s*(.*)$/)?.[1].split(' | ') || [];
+        entries.push(toSessionEntry({ url, status: note[0] }));
+    });
+
+    return { entries, errors };
+}
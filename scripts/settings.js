@@ -0,0 +1,272 @@
+// Shared Settings - background / popup / options 共通
+// chrome.storage.sync に保存し、読み込み時に検証する
+
+const DEFAULT_SETTINGS = {
+    startDelay: 1000,           // ダウンロード開始の間隔 (ms)
+    retryDelay: 2000,           // 手動再ダウンロードの間隔 (ms)
+    reloadWait: 3000,           // リロード後、ボタンを押すまでの待機時間 (ms)
+    pollingInterval: 2000,      // 進捗ポーリング間隔 (ms)。content script から通知が来ないタブ用
+    matchThreshold: 30,         // ファイル名マッチングの閾値 (0-100)
+    contentPaths: ['/doujinshi/', '/manga/', '/gamecg/', '/cg/', '/anime/', '/imageset/'],
+    maxConcurrent: 3,           // 同時にZIPを生成するタブ数
+    downloadEngine: 'click',    // 'click': ページのボタンを押す | 'direct': 拡張機能で画像を取得してZIPを作る
+    directConcurrency: 4,       // 直接ダウンロードで同時に取得する画像数（1ギャラリーあたり）
+    directImageRetries: 3,      // 直接ダウンロードで1枚あたりにリトライする回数
+    retryMaxAttempts: 3,        // 自動リトライの上限回数
+    retryBaseDelay: 5000,       // 自動リトライの初回待機時間 (ms)
+    retryMaxDelay: 60000,       // 自動リトライの待機時間上限 (ms)
+    stallTimeout: 180000,       // 進捗が動かないと停止とみなす時間 (ms)
+    stallAutoRetry: true,       // 停止したタブを自動リトライに回す
+    duplicatePolicy: 'skip',    // 取得済みギャラリーの扱い: 'skip' | 'warn'
+    filenameTemplate: '{title} [{id}]',  // 保存ファイル名（空ならサイトの名前のまま）
+    subfolderTemplate: '',      // 保存先サブフォルダ（例: {type}/{artist}）
+    sidecarFormat: 'none',      // 完了時に保存するメタデータ: 'none' | 'comicinfo' | 'json'
+    managedTabAction: 'close',  // 拡張機能が開いたタブの完了後: 'close' | 'recycle' | 'keep'
+    closeUserTabs: false,       // 自分で開いたタブも完了後に閉じる
+    shortcutScope: 'current-window',  // ショートカットの対象: 'current-window' | 'all-windows' | 'highlighted' | 'active-group'
+    filterRules: [],            // タグ・言語などの除外 / 許可ルール（scripts/filters.js）
+    notifyBatchComplete: true,  // バッチ完了を通知する
+    notifyFailed: true,         // ダウンロード失敗を通知する
+    notifyStalled: true,        // 停止したタブを通知する
+    notificationSound: true,    // 通知時に音を鳴らす
+    verifyZip: true             // 完了したZIPが途中で切れていないか確かめる
+};
+
+const SETTINGS_SCHEMA = {
+    startDelay: { type: 'integer', min: 0, max: 60000 },
+    retryDelay: { type: 'integer', min: 0, max: 60000 },
+    reloadWait: { type: 'integer', min: 500, max: 60000 },
+    pollingInterval: { type: 'integer', min: 500, max: 60000 },
+    matchThreshold: { type: 'integer', min: 0, max: 100 },
+    contentPaths: { type: 'paths' },
+    maxConcurrent: { type: 'integer', min: 1, max: 20 },
+    downloadEngine: { type: 'enum', values: ['click', 'direct'] },
+    directConcurrency: { type: 'integer', min: 1, max: 16 },
+    directImageRetries: { type: 'integer', min: 0, max: 10 },
+    retryMaxAttempts: { type: 'integer', min: 0, max: 10 },
+    retryBaseDelay: { type: 'integer', min: 1000, max: 600000 },
+    retryMaxDelay: { type: 'integer', min: 1000, max: 3600000 },
+    stallTimeout: { type: 'integer', min: 10000, max: 3600000 },
+    stallAutoRetry: { type: 'boolean' },
+    duplicatePolicy: { type: 'enum', values: ['skip', 'warn'] },
+    filenameTemplate: { type: 'template', allowSlash: false },
+    subfolderTemplate: { type: 'template', allowSlash: true },
+    sidecarFormat: { type: 'enum', values: ['none', 'comicinfo', 'json'] },
+    managedTabAction: { type: 'enum', values: ['close', 'recycle', 'keep'] },
+    closeUserTabs: { type: 'boolean' },
+    shortcutScope: { type: 'enum', values: ['current-window', 'all-windows', 'highlighted', 'active-group'] },
+    // 件数とは別に、保存時の大きさを storage.sync の1項目あたりの上限と比べる（SYNC_ITEM_QUOTA_BYTES）
+    filterRules: { type: 'rules', maxRules: 100 },
+    notifyBatchComplete: { type: 'boolean' },
+    notifyFailed: { type: 'boolean' },
+    notifyStalled: { type: 'boolean' },
+    notificationSound: { type: 'boolean' },
+    verifyZip: { type: 'boolean' }
+};
+
+// storage.sync の1項目あたりの上限（キー名 + JSON の UTF-8 バイト数）。chrome が無いテストでは既定の 8KB
+const SYNC_ITEM_QUOTA_BYTES = globalThis.chrome?.storage?.sync?.QUOTA_BYTES_PER_ITEM ?? 8192;
+
+function getSyncItemBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+// ファイル名テンプレートで使えるトークン（scripts/filename.js でも使用）
+const TEMPLATE_TOKENS = ['id', 'title', 'artist', 'type', 'language', 'date'];
+
+// フィルタルールで使える項目（scripts/filters.js でも使用）
+const FILTER_FIELDS = ['tag', 'language', 'artist', 'group', 'series', 'character', 'type'];
+
+// ページには言語がその言語での名前（日本語 など）で表示されるので、
+// 言語ページのURL（/index-japanese.html）の japanese を共通のキーにする
+const LANGUAGE_KEYS = {
+    '日本語': 'japanese',
+    '한국어': 'korean',
+    '中文': 'chinese',
+    'español': 'spanish',
+    'français': 'french',
+    'deutsch': 'german',
+    'русский': 'russian',
+    'ไทย': 'thai',
+    'tiếng việt': 'vietnamese',
+    'bahasa indonesia': 'indonesian',
+    'português': 'portuguese',
+    'italiano': 'italian',
+    'polski': 'polish'
+};
+
+// "日本語" / "Japanese" / "japanese" → "japanese"
+function getLanguageKey(name) {
+    if (!name) return null;
+    const text = String(name).toLowerCase().replace(/\s+/g, ' ').trim();
+    return LANGUAGE_KEYS[text] || text;
+}
+
+function validateSettingValue(key, value) {
+    const rule = SETTINGS_SCHEMA[key];
+    switch (rule.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return '整数を指定してください';
+            if (value < rule.min || value > rule.max) return `${rule.min}〜${rule.max}の範囲で指定してください`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'true / false を指定してください';
+        case 'enum':
+            return rule.values.includes(value) ? null : `${rule.values.join(' / ')} のいずれかを指定してください`;
+        case 'paths':
+            if (!Array.isArray(value) || value.length === 0) return '1つ以上のパスを指定してください';
+            for (const path of value) {
+                if (typeof path !== 'string' || !/^\/[^\s\/]+\/$/.test(path)) {
+                    return `"${path}" は /name/ の形式で指定してください`;
+                }
+            }
+            return null;
+        case 'template': {
+            if (typeof value !== 'string') return '文字列を指定してください';
+            if (value.length > 200) return '200文字以内で指定してください';
+            if (!rule.allowSlash && /[\\/]/.test(value)) return 'フォルダはサブフォルダ欄で指定してください';
+            const unknown = [...value.matchAll(/\{(\w+)\}/g)]
+                .map(m => m[1])
+                .filter(name => !TEMPLATE_TOKENS.includes(name));
+            if (unknown.length > 0) return `不明なトークン: {${unknown.join('}, {')}}`;
+            return null;
+        }
+        case 'rules':
+            if (!Array.isArray(value)) return 'ルールの一覧を指定してください';
+            if (value.length > rule.maxRules) return `ルールは${rule.maxRules}件以内で指定してください`;
+            for (const item of value) {
+                if (!['block', 'allow'].includes(item?.action) || !FILTER_FIELDS.includes(item.field) ||
+                    typeof item.value !== 'string' || !item.value.trim() || item.value.length > 100) {
+                    return `不正なルール: ${JSON.stringify(item)}`;
+                }
+            }
+            if (getSyncItemBytes(key, value) > SYNC_ITEM_QUOTA_BYTES) {
+                return `ルールが保存できる大きさ (${SYNC_ITEM_QUOTA_BYTES}バイト) を超えています。件数を減らすか値を短くしてください`;
+            }
+            return null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * 設定値を検証する。不正な値は既定値に置き換え、エラーとして返す
+ * @returns {{ settings: object, errors: Array<{ key: string, message: string }> }}
+ */
+function validateSettings(input) {
+    const settings = {};
+    const errors = [];
+
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+        const value = input?.[key];
+        if (value === undefined) {
+            settings[key] = DEFAULT_SETTINGS[key];
+            continue;
+        }
+
+        const error = validateSettingValue(key, value);
+        if (error) {
+            errors.push({ key, message: error });
+            settings[key] = DEFAULT_SETTINGS[key];
+        } else {
+            settings[key] = value;
+        }
+    }
+
+    if (settings.retryBaseDelay > settings.retryMaxDelay) {
+        errors.push({ key: 'retryMaxDelay', message: '初回待機時間以上の値を指定してください' });
+        settings.retryMaxDelay = settings.retryBaseDelay;
+    }
+
+    return { settings, errors };
+}
+
+async function loadSettings() {
+    try {
+        const stored = await chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS));
+        const { settings, errors } = validateSettings(stored);
+        if (errors.length > 0) {
+            console.warn('[Settings] Invalid values replaced with defaults:', errors);
+        }
+        return settings;
+    } catch (error) {
+        console.error('[Settings] Failed to load settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+async function saveSettings(input) {
+    const { settings, errors } = validateSettings(input);
+    if (errors.length > 0) return { success: false, errors };
+    await chrome.storage.sync.set(settings);
+    return { success: true, settings };
+}
+
+// 設定が変更されたら検証済みの全設定でコールバックする
+function onSettingsChanged(callback) {
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+        if (areaName !== 'sync') return;
+        if (!Object.keys(changes).some(key => key in DEFAULT_SETTINGS)) return;
+        callback(await loadSettings());
+    });
+}
+
+function isContentPage(url, contentPaths) {
+    return !!url && contentPaths.some(path => url.includes(path));
+}
+
+// ============================================
+// 対象タブの範囲（popup / ショートカット共通）
+// ============================================
+
+const SCOPE_LABELS = {
+    'current-window': '現在のウィンドウ',
+    'all-windows': '全ウィンドウ',
+    'highlighted': '選択中のタブ',
+    'group': 'タブグループ',
+    'active-group': 'アクティブタブのグループ',
+    'listing': '一覧ページ',
+    'import': 'ファイルから読み込み'
+};
+
+function getScopeLabel(scope) {
+    if (!scope) return '';
+    if (scope.type === 'group' && scope.groupTitle) return `グループ「${scope.groupTitle}」`;
+    return SCOPE_LABELS[scope.type] || scope.type;
+}
+
+/**
+ * 範囲内のhitomi.laコンテンツタブを返す
+ * @param {{ type: string, groupId?: number }} scope
+ *   type: 'current-window' | 'all-windows' | 'highlighted' | 'group' | 'active-group'
+ */
+async function queryTargetTabs(scope, contentPaths) {
+    const query = { url: '*://hitomi.la/*' };
+
+    switch (scope?.type) {
+        case 'all-windows':
+            break;
+        case 'highlighted':
+            query.currentWindow = true;
+            query.highlighted = true;
+            break;
+        case 'group':
+            query.groupId = scope.groupId;
+            break;
+        case 'active-group': {
+            // アクティブなタブがグループに入っていなければ現在のウィンドウ全体
+            const [active] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (active && active.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+                query.groupId = active.groupId;
+            } else {
+                query.currentWindow = true;
+            }
+            break;
+        }
+        default:
+            query.currentWindow = true;
+    }
+
+    const tabs = await chrome.tabs.query(query);
+    return tabs.filter(tab => isContentPage(tab.url, contentPaths));
+}
@@ -0,0 +1,85 @@
+// Sidecar Metadata - ZIPの横に置くメタデータファイル
+// Komga / Kavita などのライブラリ管理向けに ComicInfo.xml または JSON を生成する
+
+// 言語のキー（settings.js の getLanguageKey）→ ISO 639-1
+const LANGUAGE_ISO_CODES = {
+    'japanese': 'ja',
+    'english': 'en',
+    'korean': 'ko',
+    'chinese': 'zh',
+    'spanish': 'es',
+    'french': 'fr',
+    'german': 'de',
+    'russian': 'ru',
+    'thai': 'th',
+    'vietnamese': 'vi',
+    'indonesian': 'id',
+    'portuguese': 'pt',
+    'italian': 'it',
+    'polish': 'pl'
+};
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // XML 1.0 で使えない制御文字を除去
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
+
+/**
+ * ComicInfo.xml (v2.0) を生成する
+ * @param {object} metadata - page-adapter.js の readGalleryMetadata() の結果
+ * @param {string} url - ギャラリーのURL
+ */
+function buildComicInfoXml(metadata, url) {
+    const fields = [
+        ['Title', metadata.title],
+        ['Series', metadata.series?.join(', ')],
+        ['Writer', metadata.artists?.join(', ')],
+        ['Penciller', metadata.artists?.join(', ')],
+        ['Teams', metadata.groups?.join(', ')],
+        ['Genre', metadata.type],
+        ['Tags', metadata.tags?.join(', ')],
+        ['Characters', metadata.characters?.join(', ')],
+        ['LanguageISO', LANGUAGE_ISO_CODES[metadata.languageKey || getLanguageKey(metadata.language)]],
+        ['PageCount', metadata.pageCount],
+        ['Web', url],
+        ['Notes', metadata.id ? `hitomi.la gallery ${metadata.id}` : null]
+    ];
+
+    const lines = fields
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([name, value]) => `  <${name}>${escapeXml(value)}</${name}>`);
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<ComicInfo xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">',
+        ...lines,
+        '</ComicInfo>',
+        ''
+    ].join('\n');
+}
+
+function buildSidecarJson(metadata, url) {
+    return JSON.stringify({
+        ...metadata,
+        url: url,
+        downloadedAt: new Date().toISOString()
+    }, null, 2);
+}
+
+/**
+ * 形式に応じたサイドカーファイルの内容を返す
+ * @param {'comicinfo'|'json'} format
+ * @returns {{ extension: string, mimeType: string, content: string }}
+ */
+function buildSidecar(format, metadata, url) {
+    if (format === 'comicinfo') {
+        return { extension: 'xml', mimeType: 'application/xml', content: buildComicInfoXml(metadata, url) };
+    }
+    return { extension: 'json', mimeType: 'application/json', content: buildSidecarJson(metadata, url) };
+}
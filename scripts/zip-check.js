@@ -0,0 +1,86 @@
+// ZIP Integrity Check - 完了したZIPが途中で切れていないかを確かめる
+// 末尾の End of Central Directory (EOCD) を読み、エントリ数をギャラリーのページ数と比べる
+
+const EOCD_SIGNATURE = 0x06054b50;
+const EOCD_MIN_SIZE = 22;
+// EOCD の後ろにはコメント（最大 65535 バイト）が付くことがある
+const ZIP_TAIL_SIZE = EOCD_MIN_SIZE + 0xffff;
+
+/**
+ * ZIPの末尾から EOCD を探して読む
+ * @param {Uint8Array} tail - ファイル末尾（ZIP_TAIL_SIZE バイト以内）
+ * @param {number} fileSize - ファイル全体のサイズ
+ * @returns {{ entries: number|null, centralDirectorySize: number, centralDirectoryOffset: number }|null}
+ */
+function parseZipEocd(tail, fileSize) {
+    const view = new DataView(tail.buffer, tail.byteOffset, tail.byteLength);
+
+    for (let i = tail.byteLength - EOCD_MIN_SIZE; i >= 0; i--) {
+        if (view.getUint32(i, true) !== EOCD_SIGNATURE) continue;
+
+        const commentLength = view.getUint16(i + 20, true);
+        // 偶然シグネチャと同じ並びになった場合を除く（コメントがちょうど末尾まで続くはず）
+        if (i + EOCD_MIN_SIZE + commentLength !== tail.byteLength) continue;
+
+        const entries = view.getUint16(i + 10, true);
+        const centralDirectorySize = view.getUint32(i + 12, true);
+        const centralDirectoryOffset = view.getUint32(i + 16, true);
+        const eocdOffset = fileSize - tail.byteLength + i;
+
+        return {
+            // ZIP64 では 0xFFFF が入り、実際の数は別レコードにある
+            entries: entries === 0xffff ? null : entries,
+            centralDirectorySize,
+            centralDirectoryOffset,
+            consistent: centralDirectoryOffset === 0xffffffff ||
+                centralDirectoryOffset + centralDirectorySize <= eocdOffset
+        };
+    }
+    return null;
+}
+
+/**
+ * 検証結果を判定する
+ * @param {{ fileSize: number, totalBytes: number, eocd?: object|null, pageCount?: number|null }} input
+ *   eocd が undefined なら中身は読めなかったとしてサイズだけで判定する
+ * @returns {{ ok: boolean, reason: string|null, checked: 'full'|'size' }}
+ */
+function checkZipIntegrity({ fileSize, totalBytes, eocd, pageCount }) {
+    const checked = eocd === undefined ? 'size' : 'full';
+
+    if (totalBytes > 0 && fileSize !== totalBytes) {
+        return { ok: false, reason: `サイズ不一致 (${fileSize} / ${totalBytes} bytes)`, checked };
+    }
+    if (eocd === undefined) return { ok: true, reason: null, checked };
+
+    if (!eocd) {
+        return { ok: false, reason: 'ZIPの終端レコードがありません（途中で切れています）', checked };
+    }
+    if (!eocd.consistent) {
+        return { ok: false, reason: 'ZIPの目次が壊れています', checked };
+    }
+    if (pageCount && eocd.entries !== null && eocd.entries < pageCount) {
+        return { ok: false, reason: `ページ数不足 (${eocd.entries} / ${pageCount})`, checked };
+    }
+    return { ok: true, reason: null, checked };
+}
+
+// URLからファイル末尾を読み、EOCD を返す（content script では blob: URL、background では https: URL）
+// 読めなかった場合は undefined
+async function readZipEocd(url) {
+    try {
+        if (url.startsWith('blob:')) {
+            const blob = await (await fetch(url)).blob();
+            const tail = new Uint8Array(await blob.slice(Math.max(0, blob.size - ZIP_TAIL_SIZE)).arrayBuffer());
+            return parseZipEocd(tail, blob.size);
+        }
+
+        const response = await fetch(url, { headers: { Range: `bytes=-${ZIP_TAIL_SIZE}` } });
+        if (response.status !== 206) return undefined;
+        const total = parseInt(response.headers.get('Content-Range')?.split('/')[1], 10);
+        if (!total) return undefined;
+        return parseZipEocd(new Uint8Array(await response.arrayBuffer()), total);
+    } catch (error) {
+        return undefined;
+    }
+}
@@ -0,0 +1,101 @@
+// ZIP Writer - 直接ダウンロードした画像をZIPにまとめる
+// 画像は圧縮済みなので無圧縮（STORE）で格納する。ZIP64 には対応しない（4GB / 65535件まで）
+// EOCD_SIGNATURE / EOCD_MIN_SIZE は zip-check.js で定義（先に読み込むこと）
+
+const ZIP_LOCAL_HEADER_SIZE = 30;
+const ZIP_CENTRAL_HEADER_SIZE = 46;
+const ZIP_UTF8_FLAG = 0x0800;
+const ZIP_MAX_OFFSET = 0xffffffff;
+const ZIP_MAX_ENTRIES = 0xffff;
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC32_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS 形式の日時（2秒単位、1980年以降）
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * ZIPを組み立てる
+ * @param {Array<{ name: string, data: Uint8Array }>} entries
+ * @returns {Blob}
+ */
+function buildZip(entries, modified = new Date()) {
+    if (entries.length > ZIP_MAX_ENTRIES) throw new Error(`ZIPに入れられるのは${ZIP_MAX_ENTRIES}件までです`);
+
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(modified);
+    const parts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        const crc = crc32(entry.data);
+        const size = entry.data.length;
+        if (offset + ZIP_LOCAL_HEADER_SIZE + name.length + size > ZIP_MAX_OFFSET) {
+            throw new Error('ZIPが4GBを超えるため作成できません');
+        }
+
+        const local = new DataView(new ArrayBuffer(ZIP_LOCAL_HEADER_SIZE));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);               // 展開に必要なバージョン
+        local.setUint16(6, ZIP_UTF8_FLAG, true);
+        local.setUint16(8, 0, true);                // STORE
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, entry.data);
+
+        const central = new DataView(new ArrayBuffer(ZIP_CENTRAL_HEADER_SIZE));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, ZIP_UTF8_FLAG, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(central, name);
+
+        offset += ZIP_LOCAL_HEADER_SIZE + name.length + size;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+    const eocd = new DataView(new ArrayBuffer(EOCD_MIN_SIZE));
+    eocd.setUint32(0, EOCD_SIGNATURE, true);
+    eocd.setUint16(8, entries.length, true);
+    eocd.setUint16(10, entries.length, true);
+    eocd.setUint32(12, centralSize, true);
+    eocd.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralParts, eocd], { type: 'application/zip' });
+}
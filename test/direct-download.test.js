@@ -0,0 +1,188 @@
+// direct-download.js をローカルのモックサーバーで確かめる
+// GALLERY_SOURCE と同じ形の source を渡し、ギャラリー情報・gg.js・画像をすべてモックから取得する
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const direct = loadScripts([
+    'scripts/zip-check.js',
+    'scripts/zip-writer.js',
+    'scripts/gallery-source.js',
+    'scripts/direct-download.js'
+]);
+
+const GALLERY_ID = '1234567';
+
+// 末尾3文字がバケット番号になる（"123" → 0x312。gg.js の case に含まれるかで画像サーバーが変わる）
+const FILES = [
+    { name: '01.jpg', hash: 'a'.repeat(61) + '123', haswebp: 1 },
+    { name: '02.jpg', hash: 'b'.repeat(61) + '456', haswebp: 1 },
+    { name: '03.png', hash: 'c'.repeat(61) + '789', haswebp: 0, hasavif: 1 }
+];
+
+const GG_JS = `gg = {
+m: function(g) {
+var o = 0;
+switch (g) {
+case ${0x312}:
+o = 1; break;
+}
+return o;
+},
+b: '1700000000/'
+};`;
+
+function imageData(hash) {
+    return Buffer.from(`image:${hash}`);
+}
+
+/**
+ * モックサーバーを起動する
+ * @param {function(string, number): number} statusFor - (hash, 何回目の要求か) → ステータス
+ */
+async function startMockServer(statusFor = () => 200) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        if (url.pathname === `/galleries/${GALLERY_ID}.js`) {
+            response.end('var galleryinfo = ' + JSON.stringify({ id: GALLERY_ID, title: 'Sample Gallery Title', files: FILES }));
+            return;
+        }
+        if (url.pathname === '/gg.js') {
+            response.end(GG_JS);
+            return;
+        }
+
+        const match = url.pathname.match(/^\/images\/(\w+)\/1700000000\/\d+\/(\w+)\.(webp|avif)$/);
+        if (!match) {
+            response.statusCode = 404;
+            response.end();
+            return;
+        }
+        const [, subdomain, hash] = match;
+        const attempt = requests.filter(r => r.hash === hash).length;
+        requests.push({ subdomain, hash });
+        response.statusCode = statusFor(hash, attempt);
+        response.end(response.statusCode === 200 ? imageData(hash) : '');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return {
+        requests,
+        close: () => new Promise(resolve => server.close(resolve)),
+        source: {
+            galleryInfoUrl: galleryId => `${base}/galleries/${galleryId}.js`,
+            ggUrl: `${base}/gg.js`,
+            imageBase: subdomain => `${base}/images/${subdomain}/`
+        }
+    };
+}
+
+// 中央ディレクトリからエントリ名を読む
+function readZipNames(bytes, eocd) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const names = [];
+    let offset = eocd.centralDirectoryOffset;
+    while (offset < eocd.centralDirectoryOffset + eocd.centralDirectorySize) {
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        names.push(bytes.subarray(offset + 46, offset + 46 + nameLength).toString('utf8'));
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return names;
+}
+
+test.describe('downloadGallery', () => {
+    test.it('retries a failed image and builds a complete ZIP', async () => {
+        // 02 だけ最初の1回は 503
+        const server = await startMockServer((hash, attempt) => hash === FILES[1].hash && attempt === 0 ? 503 : 200);
+        const progress = [];
+        try {
+            const result = await direct.downloadGallery({
+                galleryId: GALLERY_ID,
+                concurrency: 2,
+                retries: 2,
+                source: server.source,
+                onProgress: update => progress.push({ ...update })
+            });
+
+            assert.equal(result.title, 'Sample Gallery Title');
+            assert.equal(result.pageCount, FILES.length);
+            assert.equal(server.requests.filter(r => r.hash === FILES[1].hash).length, 2);
+            // gg.js の case に含まれるバケットは2番目のサーバー、avif しか無い画像は a 系のサーバー
+            assert.deepEqual(server.requests.map(r => r.subdomain).sort(), ['w1', 'w1', 'w2', 'a1'].sort());
+            assert.deepEqual(progress.at(-1), {
+                done: FILES.length,
+                total: FILES.length,
+                bytes: FILES.reduce((sum, file) => sum + imageData(file.hash).length, 0),
+                resumed: 0
+            });
+
+            const bytes = Buffer.from(await result.blob.arrayBuffer());
+            const tail = bytes.subarray(Math.max(0, bytes.length - direct.evaluate('ZIP_TAIL_SIZE')));
+            const eocd = direct.parseZipEocd(new Uint8Array(tail), bytes.length);
+            assert.equal(eocd.entries, FILES.length);
+            assert.equal(eocd.consistent, true);
+            assert.equal(eocd.centralDirectoryOffset + eocd.centralDirectorySize + direct.evaluate('EOCD_MIN_SIZE'), bytes.length);
+            assert.deepEqual(readZipNames(bytes, eocd), ['01.webp', '02.webp', '03.avif']);
+            assert.equal(direct.checkZipIntegrity({ fileSize: bytes.length, totalBytes: bytes.length, eocd, pageCount: FILES.length }).ok, true);
+        } finally {
+            await server.close();
+        }
+    });
+
+    test.it('fails the whole job when an image keeps failing', async () => {
+        // 01 は何度取得しても 404
+        const server = await startMockServer(hash => hash === FILES[0].hash ? 404 : 200);
+        const saved = [];
+        try {
+            await assert.rejects(
+                direct.downloadGallery({
+                    galleryId: GALLERY_ID,
+                    concurrency: 1,
+                    retries: 1,
+                    source: server.source,
+                    checkpoint: {
+                        load: async () => new Map(),
+                        save: async (galleryId, hash) => { saved.push(hash); }
+                    }
+                }),
+                error => {
+                    assert.match(error.message, /01\.webp を取得できません \(HTTP 404\)/);
+                    return true;
+                }
+            );
+
+            // リトライ分を含めて2回だけ取得し、残りのページは取得しない
+            assert.deepEqual(server.requests.map(r => r.hash), [FILES[0].hash, FILES[0].hash]);
+            assert.deepEqual(saved, []);
+        } finally {
+            await server.close();
+        }
+    });
+
+    test.it('only fetches pages missing from the checkpoints', async () => {
+        const server = await startMockServer();
+        try {
+            const result = await direct.downloadGallery({
+                galleryId: GALLERY_ID,
+                concurrency: 2,
+                retries: 0,
+                source: server.source,
+                checkpoint: {
+                    load: async () => new Map([[FILES[0].hash, new Uint8Array(imageData(FILES[0].hash))]]),
+                    save: async () => { }
+                }
+            });
+
+            assert.equal(result.resumed, 1);
+            assert.deepEqual(server.requests.map(r => r.hash).sort(), [FILES[1].hash, FILES[2].hash].sort());
+        } finally {
+            await server.close();
+        }
+    });
+});
@@ -0,0 +1,88 @@
+// filters.js のルール評価を確かめる
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const filters = loadScripts(['scripts/settings.js', 'scripts/filters.js']);
+
+// readGalleryMetadata() が日本語のギャラリーで返す形
+const JAPANESE_GALLERY = {
+    tags: ['big breasts ♀', 'full color'],
+    language: '日本語',
+    languageKey: 'japanese',
+    type: 'doujinshi'
+};
+
+function evaluate(text, metadata) {
+    const { rules, errors } = filters.parseFilterRules(text);
+    assert.equal(errors.length, 0);
+    return filters.evaluateFilterRules(rules, metadata);
+}
+
+test.describe('language rules', () => {
+    test.it('allows a gallery with either spelling of its language', () => {
+        assert.equal(evaluate('allow language:japanese', JAPANESE_GALLERY), null);
+        assert.equal(evaluate('allow language:日本語', JAPANESE_GALLERY), null);
+        assert.equal(evaluate('allow language:Japanese', JAPANESE_GALLERY), null);
+    });
+
+    test.it('blocks a gallery with either spelling of its language', () => {
+        assert.notEqual(evaluate('block language:japanese', JAPANESE_GALLERY), null);
+        assert.notEqual(evaluate('block language:日本語', JAPANESE_GALLERY), null);
+    });
+
+    test.it('skips galleries in other languages', () => {
+        const result = evaluate('allow language:english\nallow language:한국어', JAPANESE_GALLERY);
+        assert.match(result.reason, /japanese/);
+    });
+
+    test.it('falls back to the display name when the key is missing', () => {
+        // languageKey を持たない古い履歴・セッションのメタデータ
+        const metadata = { language: '日本語' };
+        assert.equal(evaluate('allow language:japanese', metadata), null);
+        assert.equal(evaluate('allow language:日本語', metadata), null);
+    });
+
+    test.it('skips galleries without a language when languages are allowed', () => {
+        assert.notEqual(evaluate('allow language:japanese', { language: null, languageKey: null }), null);
+    });
+});
+
+test.describe('tag rules', () => {
+    test.it('matches site tags with and without the gender namespace', () => {
+        assert.notEqual(evaluate('block tag:female:big breasts', JAPANESE_GALLERY), null);
+        assert.notEqual(evaluate('block tag:big breasts', JAPANESE_GALLERY), null);
+        assert.equal(evaluate('block tag:male:big breasts', JAPANESE_GALLERY), null);
+    });
+});
+
+test.describe('parseFilterImport', () => {
+    const exported = rules => JSON.stringify({ format: 'hitomi-downloader-filters', version: 1, rules });
+
+    test.it('reads rules exported by buildFilterExport', () => {
+        const rules = [{ action: 'block', field: 'tag', value: 'female:guro' }];
+        const result = filters.parseFilterImport(filters.buildFilterExport(rules));
+        assert.deepEqual(JSON.parse(JSON.stringify(result)), { rules, errors: [] });
+    });
+
+    test.it('reports malformed entries instead of throwing', () => {
+        const result = filters.parseFilterImport(exported([
+            null,
+            'block tag:guro',
+            { action: 'hide', field: 'tag', value: 'guro' },
+            { action: 'block', field: 'color', value: 'red' },
+            { action: 'allow', field: 'language', value: 1 },
+            { action: 'allow', field: 'language', value: 'japanese' }
+        ]));
+
+        assert.equal(result.rules.length, 0);
+        assert.deepEqual(JSON.parse(JSON.stringify(result.errors.map(error => error.message.split(':')[0]))), [
+            '1件目のルールが不正です',
+            '2件目のルールが不正です',
+            '3件目のルールが不正です',
+            '4件目のルールが不正です',
+            '5件目のルールが不正です'
+        ]);
+    });
+});
@@ -0,0 +1,54 @@
+// 拡張機能のスクリプトは classic script（グローバルに定義する）なので、
+// manifest / importScripts と同じ順で1つの vm コンテキストに読み込んでテストする
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * スクリプトを読み込んだコンテキストを返す
+ * function 宣言はプロパティとして見えるが、const は evaluate('NAME') で取り出す
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({
+        console,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        Blob,
+        AbortController,
+        fetch,
+        setTimeout,
+        clearTimeout,
+        ...globals
+    });
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    context.evaluate = code => vm.runInContext(code, context);
+    return context;
+}
+
+/**
+ * 保存したページを読み込む
+ * jsdom はレイアウトを計算しないので、display: none でない要素には大きさがあるものとして扱う
+ */
+function loadFixture(name, url) {
+    const html = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+    const dom = new JSDOM(html, { url });
+    const { window } = dom;
+    window.HTMLElement.prototype.getBoundingClientRect = function () {
+        let visible = true;
+        for (let element = this; element; element = element.parentElement) {
+            if (window.getComputedStyle(element).display === 'none') visible = false;
+        }
+        return { width: visible ? 100 : 0, height: visible ? 20 : 0, top: 0, left: 0, right: 0, bottom: 0 };
+    };
+    return window;
+}
+
+module.exports = { loadScripts, loadFixture };
@@ -0,0 +1,183 @@
+// page-adapter.js を保存したページで確かめる
+// サイトのレイアウトが変わったら、新しいページを fixtures に保存してここが落ちることを確認する
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadFixture } = require('./helpers/load-scripts');
+
+const GALLERY_URL = 'https://hitomi.la/doujinshi/sample-gallery-title-日本語-1234567.html';
+
+const adapter = loadScripts(['scripts/settings.js', 'scripts/page-adapter.js']);
+
+// vm コンテキストの配列・オブジェクトは別レルムなので、比較前に素の値にする
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test.describe('readGalleryMetadata', () => {
+    test.it('reads every field from a gallery page', () => {
+        const window = loadFixture('gallery.html', GALLERY_URL);
+        const metadata = plain(adapter.readGalleryMetadata(window.document, GALLERY_URL));
+
+        assert.deepEqual(metadata, {
+            id: '1234567',
+            title: 'Sample Gallery Title',
+            artists: ['sample artist', 'second artist'],
+            groups: ['sample circle'],
+            series: ['original'],
+            characters: ['sample heroine'],
+            tags: ['big breasts ♀', 'sole male ♂', 'full color'],
+            language: '日本語',
+            // 表示名ではなくリンク先 /index-japanese.html の名前
+            languageKey: 'japanese',
+            type: 'doujinshi',
+            pageCount: 5
+        });
+    });
+
+    test.it('returns empty lists and null for fields the page does not have', () => {
+        const url = 'https://hitomi.la/manga/minimal-gallery-7654321.html';
+        const window = loadFixture('gallery-minimal.html', url);
+        const metadata = plain(adapter.readGalleryMetadata(window.document, url));
+
+        assert.deepEqual(metadata, {
+            id: '7654321',
+            title: 'Minimal Gallery',
+            artists: [],
+            groups: [],
+            series: [],
+            characters: [],
+            tags: [],
+            language: null,
+            languageKey: null,
+            // リンクが無ければセルの文字をそのまま使う
+            type: 'manga',
+            pageCount: null
+        });
+    });
+});
+
+// クリックされた要素を記録する（jsdom は javascript: のリンクを開かないので既定動作は止める）
+function recordClicks(window) {
+    const clicked = [];
+    window.document.addEventListener('click', event => {
+        event.preventDefault();
+        clicked.push(event.target);
+    });
+    return clicked;
+}
+
+test.describe('clickDownloadButton', () => {
+    test.it('clicks #dl-button when it is visible', () => {
+        const window = loadFixture('gallery.html', GALLERY_URL);
+        const clicked = recordClicks(window);
+
+        assert.deepEqual(plain(adapter.clickDownloadButton(window.document)), { success: true, method: 'id' });
+        assert.deepEqual(clicked, [window.document.getElementById('dl-button')]);
+    });
+
+    test.it('reports a ZIP that is already being built instead of clicking', () => {
+        const window = loadFixture('gallery-downloading.html', GALLERY_URL);
+        const clicked = recordClicks(window);
+
+        assert.deepEqual(plain(adapter.clickDownloadButton(window.document)), {
+            success: true,
+            method: 'already-running',
+            progress: 42
+        });
+        assert.equal(clicked.length, 0);
+    });
+
+    test.it('falls back to the Download heading when #dl-button is renamed', () => {
+        const window = loadFixture('gallery.html', GALLERY_URL);
+        window.document.getElementById('dl-button').removeAttribute('id');
+        const clicked = recordClicks(window);
+
+        assert.deepEqual(plain(adapter.clickDownloadButton(window.document)), { success: true, method: 'heading' });
+        assert.equal(clicked.length, 1);
+    });
+
+    test.it('falls back to a visible element labelled Download', () => {
+        const window = loadFixture('gallery.html', GALLERY_URL);
+        window.document.getElementById('dl-button').remove();
+        window.document.querySelector('.cover-column').insertAdjacentHTML('beforeend', '<button>ダウンロード</button>');
+        const clicked = recordClicks(window);
+
+        assert.deepEqual(plain(adapter.clickDownloadButton(window.document)), { success: true, method: 'text' });
+        assert.equal(clicked[0].tagName, 'BUTTON');
+    });
+
+    test.it('fails with the layout version when there is no button', () => {
+        const window = loadFixture('gallery.html', GALLERY_URL);
+        window.document.querySelector('.cover-column').remove();
+
+        const result = plain(adapter.clickDownloadButton(window.document));
+        assert.equal(result.success, false);
+        assert.match(result.error, new RegExp(`layout v${adapter.evaluate('PAGE_LAYOUT_VERSION')}`));
+    });
+});
+
+test.describe('readDownloadProgress', () => {
+    test.it('is ready while the button is shown', () => {
+        const window = loadFixture('gallery.html', GALLERY_URL);
+        assert.deepEqual(plain(adapter.readDownloadProgress(window.document)), {
+            status: 'ready',
+            progress: 0,
+            dlButtonVisible: true
+        });
+    });
+
+    test.it('reads the progress bar while the ZIP is being built', () => {
+        const window = loadFixture('gallery-downloading.html', GALLERY_URL);
+        assert.deepEqual(plain(adapter.readDownloadProgress(window.document)), {
+            status: 'downloading',
+            progress: 42,
+            dlButtonVisible: false
+        });
+    });
+
+    test.it('is preparing once the progress bar is hidden again', () => {
+        // 進捗バーが消えてからZIPが保存されるまでの間
+        const window = loadFixture('gallery-downloading.html', GALLERY_URL);
+        window.document.getElementById('progressbar').style.display = 'none';
+        assert.deepEqual(plain(adapter.readDownloadProgress(window.document)), {
+            status: 'preparing',
+            progress: 100,
+            dlButtonVisible: false
+        });
+    });
+});
+
+test.describe('readListingGalleries', () => {
+    const LISTING_URL = 'https://hitomi.la/index-japanese.html';
+    const CONTENT_PATHS = ['/doujinshi/', '/manga/', '/gamecg/', '/cg/', '/anime/', '/imageset/'];
+
+    test.it('collects galleries under the configured content paths', () => {
+        const window = loadFixture('listing.html', LISTING_URL);
+        const galleries = adapter.readListingGalleries(window.document, CONTENT_PATHS);
+
+        assert.deepEqual(plain(galleries.map(({ container, ...gallery }) => gallery)), [
+            {
+                url: new URL('/doujinshi/sample-gallery-title-日本語-1234567.html', LISTING_URL).href,
+                title: 'Sample Gallery Title',
+                galleryId: '1234567'
+            },
+            {
+                url: new URL('/manga/minimal-gallery-7654321.html', LISTING_URL).href,
+                title: 'Minimal Gallery',
+                galleryId: '7654321'
+            },
+            {
+                url: new URL('/gamecg/untitled-cg-set-2345678.html', LISTING_URL).href,
+                title: 'Untitled CG Set',
+                galleryId: '2345678'
+            }
+        ]);
+        // 一覧にチェックボックスを付けるので、各ギャラリーの要素も返す
+        assert.ok(galleries.every(gallery => gallery.container.parentElement.classList.contains('gallery-content')));
+    });
+
+    test.it('skips galleries outside the content paths', () => {
+        const window = loadFixture('listing.html', LISTING_URL);
+        const galleries = adapter.readListingGalleries(window.document, ['/manga/']);
+        assert.deepEqual(plain(galleries.map(gallery => gallery.galleryId)), ['7654321']);
+    });
+});
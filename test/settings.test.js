@@ -0,0 +1,39 @@
+// settings.js の検証を確かめる
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const settings = loadScripts(['scripts/settings.js']);
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+function rules(count, value) {
+    return Array.from({ length: count }, (_, i) => ({ action: 'block', field: 'tag', value: `${value}${i}` }));
+}
+
+test.describe('filterRules', () => {
+    test.it('accepts rules that fit in one storage.sync item', () => {
+        const { errors } = settings.validateSettings({ filterRules: rules(20, 'female:guro') });
+        assert.deepEqual(plain(errors), []);
+    });
+
+    test.it('rejects rules larger than storage.sync allows per item, even under the rule count limit', () => {
+        // 100件 × 長めの値は件数の上限内でも 8KB を超える
+        const filterRules = rules(100, 'female:' + 'x'.repeat(80));
+        const bytes = Buffer.byteLength('filterRules' + JSON.stringify(filterRules));
+        assert.ok(bytes > settings.evaluate('SYNC_ITEM_QUOTA_BYTES'));
+
+        const { settings: validated, errors } = settings.validateSettings({ filterRules });
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].key, 'filterRules');
+        assert.deepEqual(plain(validated.filterRules), []);
+    });
+
+    test.it('counts multibyte values in UTF-8 bytes', () => {
+        // 文字数では上限内でも、日本語は1文字3バイトになる
+        const filterRules = rules(60, 'タグ'.repeat(20));
+        assert.ok(JSON.stringify(filterRules).length < settings.evaluate('SYNC_ITEM_QUOTA_BYTES'));
+        assert.equal(settings.validateSettings({ filterRules }).errors.length, 1);
+    });
+});